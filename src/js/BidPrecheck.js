@@ -0,0 +1,104 @@
+/*
+ * BidPrecheck.js - Checks before submitting a bid
+ * ===================================================
+ * - used by the offer tab (contentScript_offer.js) and by the tab-less bidding of the overview page
+ * - a failed check throws a log message object {component, level, message}, which can be added to the article log
+ * - the messages are translated with the getTranslation function of the caller (EbayOffer or Popup)
+ *
+ * Apache License Version 2.0, January 2004, http://www.apache.org/licenses/
+ */
+
+class BidPrecheck {
+  /*
+   * check window/group/article autoBid status
+   * - autoBidInfo as returned by Article.getAutoBidState()
+   * - returns {simulate: true} if the bid should only be simulated (test mode)
+   */
+  static verifyAutoBidState(autoBidInfo, getTranslation) {
+    if (autoBidInfo == null || typeof autoBidInfo === 'undefined' || !autoBidInfo.hasOwnProperty('autoBidEnabled') ) {
+      throw {
+        component: getTranslation('cs_bidding', '.Bidding'),
+        level: getTranslation('generic_internalError', '.Internal Error'),
+        message: getTranslation('cs_couldNotCheckAutoBidEnabledOption',
+          '.Could not check autoBidEnabled Option.')
+      };
+    }
+    // ensure Window autoBid is enabled
+    if (autoBidInfo.autoBidEnabled === false) {
+      console.debug("Biet-O-Matic: doBid() abort, Window autoBid is off");
+      throw {
+        component: getTranslation('cs_bidding', '.Bidding'),
+        level: getTranslation('generic_cancel', '.Cancel'),
+        message: getTranslation('cs_autobidInactiveForWindow',
+          '.Auto-bid is inactive for this window')
+      };
+    }
+    // ensure Group autoBid is enabled
+    if (autoBidInfo.groupAutoBid === false) {
+      console.debug("Biet-O-Matic: doBid() abort, Group %s autoBid is off", autoBidInfo.groupName);
+      throw {
+        component: getTranslation('cs_bidding', '.Bidding'),
+        level: getTranslation('generic_cancel', '.Cancel'),
+        message: getTranslation('cs_autobidInactiveForGroup',
+          '.Auto-bid is inactive for group $1', autoBidInfo.groupName)
+      };
+    }
+    // ensure the group budget allows the maximum bid
+    if (autoBidInfo.groupBudgetExceeded === true) {
+      console.debug("Biet-O-Matic: doBid() abort, Group %s budget exceeded", autoBidInfo.groupName);
+      throw {
+        component: getTranslation('cs_bidding', '.Bidding'),
+        level: getTranslation('generic_cancel', '.Cancel'),
+        message: getTranslation('cs_groupBudgetExceeded',
+          '.The maximum bid exceeds the remaining budget of group $1', autoBidInfo.groupName)
+      };
+    }
+    // ensure Article autoBid is checked
+    if (autoBidInfo.articleAutoBid === false) {
+      console.debug("Biet-O-Matic: doBid() abort, Article autoBid is off");
+      throw {
+        component: getTranslation('cs_bidding', '.Bidding'),
+        level: getTranslation('generic_cancel', '.Cancel'),
+        message: getTranslation('cs_autobidInactiveForArticle',
+          '.Auto-bid is inactive for this article.')
+      };
+    }
+    if (autoBidInfo.simulation) {
+      console.debug("Biet-O-Matic: Enable simulated bidding.");
+      return {simulate: true};
+    }
+    return {simulate: false};
+  }
+
+  // true if window, group and article autoBid are active, i.e. the bid would be performed (without checks/logging)
+  static isAutoBidActive(autoBidInfo) {
+    if (autoBidInfo == null || typeof autoBidInfo === 'undefined') return false;
+    return autoBidInfo.autoBidEnabled === true && autoBidInfo.groupAutoBid !== false &&
+      autoBidInfo.groupBudgetExceeded !== true && autoBidInfo.articleAutoBid === true;
+  }
+
+  /*
+   * check bid-lock. When another article auction is still running for the same group, we cannot perform bid
+   * - bidLockInfo as returned by Article.getBidLockState()
+   */
+  static verifyBidLock(bidLockInfo, getTranslation) {
+    if (bidLockInfo == null || typeof bidLockInfo === 'undefined' || !bidLockInfo.hasOwnProperty('bidIsLocked')) {
+      throw {
+        component: getTranslation('cs_bidding', '.Bidding'),
+        level: getTranslation('generic_internalError', '.Internal Error'),
+        message: getTranslation('cs_couldNotCheckBidLock',
+          '.Could not check if bidding is locked')
+      };
+    }
+    if (bidLockInfo.bidIsLocked) {
+      console.debug("Biet-O-Matic: doBid() abort, bidding is locked");
+      throw {
+        component: getTranslation('cs_bidding', '.Bidding'),
+        level: getTranslation('generic_cancel', '.Cancel'),
+        message: bidLockInfo.message
+      };
+    }
+  }
+}
+
+export default BidPrecheck;
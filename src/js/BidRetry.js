@@ -0,0 +1,61 @@
+/*
+ * BidRetry.js - Retry policy for failed bid submissions
+ * ===================================================
+ * - used by the offer tab (contentScript_offer.js) and by the tab-less bidding of the overview page
+ * - a bid is retried if the confirm button is missing, or eBay rejected the bid (e.g. "bid must be higher")
+ * - the popup decides about each retry (Article.checkBidRetry), as it can refresh the item and re-check the minimum bid
+ *
+ * Apache License Version 2.0, January 2004, http://www.apache.org/licenses/
+ */
+
+class BidRetry {
+  // another attempt is only made if there is enough time left to load the offer page and submit again
+  static canRetry(attempt, timeLeft) {
+    return attempt < BidRetry.maxAttempts && timeLeft > BidRetry.minTimeLeft;
+  }
+
+  // check if eBay rejected the bid because it is too low (text or HTML of the page or status message)
+  static isBidTooLow(text) {
+    if (text == null) return false;
+    return BidRetry.bidTooLowRegex.test(text.toString());
+  }
+
+  // returns the status/error message of the page which indicates a too low bid, or null
+  static getBidTooLowMessage(doc = document) {
+    for (const element of doc.querySelectorAll(BidRetry.messageSelector)) {
+      const text = element.textContent.replace(/\s+/g, " ").trim();
+      if (BidRetry.isBidTooLow(text)) return text;
+    }
+    return null;
+  }
+
+  /*
+   * the attempt counter of the offer tab is kept in the session storage of the tab
+   * - it survives the page reload of a retry and the redirect to the status page
+   */
+  static getAttempt(articleId) {
+    const attempt = Number.parseInt(window.sessionStorage.getItem(BidRetry.attemptKey + articleId), 10);
+    return Number.isNaN(attempt) ? 1 : attempt;
+  }
+
+  static setAttempt(articleId, attempt) {
+    if (attempt == null) {
+      window.sessionStorage.removeItem(BidRetry.attemptKey + articleId);
+    } else {
+      window.sessionStorage.setItem(BidRetry.attemptKey + articleId, attempt.toString());
+    }
+  }
+}
+
+// maximum number of submit attempts per auction (first attempt included)
+BidRetry.maxAttempts = 3;
+// minimum time left (ms) until the auction ends for another attempt
+BidRetry.minTimeLeft = 3000;
+BidRetry.attemptKey = "bomBidAttempt_";
+// eBay messages which indicate that the bid is lower than the minimum bid
+// - only status and error messages are checked, the offer page itself shows hints like "Enter 12.50 or more"
+BidRetry.bidTooLowRegex = /(?:must be higher|must be at least|muss (?:höher|mindestens)|doit être (?:supérieure|d'au moins)|deve essere (?:superiore|almeno))/i;
+// status and error messages of the offer page
+BidRetry.messageSelector = 'div.st, .errorMsg, .statusmsg, [role="alert"]';
+
+export default BidRetry;
@@ -0,0 +1,103 @@
+/*
+ * BidTiming.js - Measured bid timings and the bid time suggestion
+ * ===================================================
+ * - the offer tab (and the tab-less bidding) reports the timings of each bid as structured data
+ * - the measurements are kept in the local storage (specific to this computer and network connection)
+ * - from the recent measurements and the clock offset accuracy the tightest safe bid time is determined
+ *
+ * A measurement is an object:
+ * { timestamp, articleId, bidTime, tabless, simulate, clockOffset,
+ *   overhead:     ms from the scheduled bid time until the bid was submitted (timer delay, pre-checks, click)
+ *   margin:       ms left until the auction end when the bid was submitted
+ *   responseTime: ms until eBay answered the bid request, null if not known (offer tab)
+ *   phases:       [{description, sinceStart}] timings of the bid phases in ms }
+ *
+ * Apache License Version 2.0, January 2004, http://www.apache.org/licenses/
+ */
+
+import browser from "webextension-polyfill";
+
+class BidTiming {
+  // add a measurement to the history, only the most recent measurements are kept
+  static async addMeasurement(measurement) {
+    if (measurement == null || !Number.isFinite(measurement.overhead) || !Number.isFinite(measurement.margin)) {
+      throw new Error("Invalid bid timing measurement: " + JSON.stringify(measurement));
+    }
+    const history = await BidTiming.getHistory();
+    history.push(Object.assign({ timestamp: Date.now(), responseTime: null }, measurement));
+    await browser.storage.local.set({ bidTimingHistory: history.slice(-BidTiming.historySize) });
+    console.debug("Biet-O-Matic: BidTiming.addMeasurement() %O", measurement);
+  }
+
+  static async getHistory() {
+    const result = await browser.storage.local.get({ bidTimingHistory: [] });
+    if (!Array.isArray(result.bidTimingHistory)) return [];
+    return result.bidTimingHistory;
+  }
+
+  /*
+   * suggest the tightest safe bid time (in seconds) for the measured history
+   * - simulated bids (test mode) are not used, eBay did not receive them
+   * - the largest recent lead time (see getLeadTime) is used, plus the clock offset accuracy and a safety margin
+   * - clockEstimate is the stored clock offset estimate {offset, accuracy, timestamp}, can be null
+   * - returns {bidTime, samples, lead} or null if not enough bids have been measured
+   */
+  static suggestBidTime(history, clockEstimate = null) {
+    const measurements = history
+      .filter((m) => m.simulate !== true && Number.isFinite(m.overhead))
+      .slice(-BidTiming.historySize);
+    if (measurements.length < BidTiming.minSamples) return null;
+    const lead = Math.max(...measurements.map((m) => BidTiming.getLeadTime(m)));
+    // without a recent clock offset measurement the end time could be off by more
+    let clockAccuracy = BidTiming.unknownClockAccuracy;
+    if (clockEstimate != null && Date.now() - clockEstimate.timestamp <= BidTiming.clockEstimateMaxAge) {
+      clockAccuracy = clockEstimate.accuracy;
+    }
+    const seconds = Math.ceil((lead + clockAccuracy + BidTiming.safetyMargin) / 1000);
+    return {
+      bidTime: Math.min(BidTiming.maxBidTime, Math.max(BidTiming.minBidTime, seconds)),
+      samples: measurements.length,
+      lead: lead,
+    };
+  }
+
+  /*
+   * the required lead time (ms) of a measured bid: the time from the scheduled bid time until eBay answered
+   * - overhead plus the eBay response time (or a default if unknown)
+   * - the margin shows the time which was really left until the auction end (e.g. the clock offset was off),
+   *   a bid which arrived too late (margin <= response time) needs more than its bid time
+   */
+  static getLeadTime(measurement) {
+    const responseTime = Number.isFinite(measurement.responseTime)
+      ? measurement.responseTime
+      : BidTiming.defaultResponseTime;
+    let used = Math.max(0, measurement.overhead);
+    if (Number.isFinite(measurement.bidTime) && Number.isFinite(measurement.margin))
+      used = Math.max(used, measurement.bidTime * 1000 - measurement.margin);
+    return used + responseTime;
+  }
+
+  // suggestion for the stored history and clock offset
+  static async getSuggestion() {
+    const history = await BidTiming.getHistory();
+    const result = await browser.storage.local.get({ clockOffset: null });
+    return BidTiming.suggestBidTime(history, result.clockOffset);
+  }
+}
+
+// number of measurements which are kept and used for the suggestion
+BidTiming.historySize = 20;
+// minimum number of measurements before a bid time is suggested
+BidTiming.minSamples = 3;
+// assumed eBay response time, if it could not be measured
+BidTiming.defaultResponseTime = 1000;
+// assumed clock accuracy, if the clock offset has not been measured recently
+BidTiming.unknownClockAccuracy = 1000;
+BidTiming.clockEstimateMaxAge = 3_600_000;
+// added to the measured lead time, to tolerate network hiccups
+BidTiming.safetyMargin = 1500;
+// range of suggested bid times in seconds
+BidTiming.minBidTime = 2;
+BidTiming.maxBidTime = 60;
+
+export default BidTiming;
@@ -9,6 +9,8 @@
 
 import browser from "webextension-polyfill";
 import $ from "jquery";
+import EbayPlatform from "./EbayPlatform.js";
+import Money from "./Money.js";
 
 class EbayParser {
   /*
@@ -16,6 +18,8 @@ class EbayParser {
    */
   constructor(url, htmlString = null) {
     this.url = url;
+    // the platform (ebay.de, ebay.com, ...) the page belongs to, null if unknown
+    this.platform = EbayPlatform.fromUrl(url);
     if (htmlString == null) {
       this.data = document;
       this.createdFromHtml = false;
@@ -26,6 +30,24 @@ class EbayParser {
       this.data = doc;
       this.createdFromHtml = true;
     }
+    // schema.org data, will be determined on first use
+    this.structuredData = null;
+    // page layout (classic or x), determines which parse profile is used
+    this.layout = EbayParser.getLayout(this.data);
+  }
+
+  /*
+   * Determine the layout of the article page
+   * - classic: Body element with schema.org Product itemtype and vi-* elements
+   * - x: redesigned item page built from "x-" components (e.g. x-item-title)
+   */
+  static getLayout(doc) {
+    const body = doc.getElementById("Body");
+    if (body == null || body.getAttribute("itemtype") == null) {
+      if (doc.querySelector(".x-item-title, [data-testid='x-item-title']") != null)
+        return 'x';
+    }
+    return 'classic';
   }
 
   /*
@@ -34,20 +56,28 @@ class EbayParser {
    */
   async init(oldInfo) {
     // first we check if the page is a expected Article Page
-    const body = this.data.getElementById("Body");
-    if (body == null) {
-      console.info("Biet-O-Mat: skipping on this page; no Body element, data=%O", this.data);
-      throw new Error("Biet-O-Mat: skipping on this page; no Body element");
-    }
-    const itemType = body.getAttribute("itemtype");
-    if (itemType == null) {
-      console.info("Biet-O-Mat: skipping on this page; no itemtype in body element");
-      throw new Error("Biet-O-Mat: skipping on this page; no itemtype in body element");
-    }
-    if (itemType !== "https://schema.org/Product") {
-      let msg = `Biet-O-Mat: skipping on this page; unexpected itemtype in body element: ${itemType}`;
-      console.info(msg);
-      throw new Error(msg);
+    if (this.layout === 'x') {
+      // the redesigned page has no itemtype on the Body, the item title and number are sufficient
+      if (this.data.querySelector(EbayParser.parseProfiles.x.page.get('articleId').join(',')) == null) {
+        console.info("Biet-O-Mat: skipping on this page; no item number found in redesigned page");
+        throw new Error("Biet-O-Mat: skipping on this page; no item number found in redesigned page");
+      }
+    } else {
+      const body = this.data.getElementById("Body");
+      if (body == null) {
+        console.info("Biet-O-Mat: skipping on this page; no Body element, data=%O", this.data);
+        throw new Error("Biet-O-Mat: skipping on this page; no Body element");
+      }
+      const itemType = body.getAttribute("itemtype");
+      if (itemType == null) {
+        console.info("Biet-O-Mat: skipping on this page; no itemtype in body element");
+        throw new Error("Biet-O-Mat: skipping on this page; no itemtype in body element");
+      }
+      if (itemType !== "https://schema.org/Product") {
+        let msg = `Biet-O-Mat: skipping on this page; unexpected itemtype in body element: ${itemType}`;
+        console.info(msg);
+        throw new Error(msg);
+      }
     }
     if (typeof oldInfo !== "undefined" && oldInfo.auctionEnded) {
       throw new Error("Biet-O-Mat: skipping on this page; bidding already performed.");
@@ -62,6 +92,7 @@ class EbayParser {
       $(this.data).empty();
     }
     this.data = null;
+    this.structuredData = null;
   }
 
   /*
@@ -70,46 +101,27 @@ class EbayParser {
   parsePage() {
     const result = {};
     // DOM Element Parsing
-    const parseInfoArray = new Map([
-      ['articleId', ['#descItemNumber']],
-      ['articleDescription', ['#itemTitle']],
-      ['articleState', ['#vi-itm-cond']],
-      ['articleEndTime', [
-        '#bb_tlft > span.vi-tm-left',  // normal running article
-        '#bb_tlft']                    // ended article
-      ],
-      ['articleBidPrice', [
-        '#prcIsum_bidPrice',           // normal running article
-        'div.vi-price-np > span',      // ended auction
-      ]],
-      ['articleBuyPrice', [
-        '#prcIsum'                     // sofortkauf
-      ]],
-      ['articlePaymentMethods', ['#payDet1']],
-      ['articleShippingCost', ['#fshippingCost']],
-      ['articleShippingMethods', ['#fShippingSvc']],
-      ['articleAuctionState', ['#msgPanel']],
-      ['articleBidCount', ['#qty-test']],
-      ['articleMinimumBid', ['#MaxBidId']],
-      ['articleImage', ['#icImg']],
-      ['articleSeller', ['#RightSummaryPanel']]
-    ]);
-    for (const item of parseInfoArray) {
-      const info = this.parseInfoEntry(item[0], item[1]);
-      Object.assign(result, info);
-    }
+    this.parseInfoEntries(EbayParser.parseProfiles[this.layout].page, result);
+    result.articleLayout = this.layout;
     // save platform
-    const regex = /(?:www|cgi)\.(ebay\..*?)\//i;
-    if (regex.test(this.url)) {
-      result.articlePlatform = this.url.match(regex)[1];
+    if (this.platform != null) {
+      result.articlePlatform = this.platform.id;
     } else {
       console.log("Biet-O-Matic: Platform could not be determined from URL: %s", this.url);
-      result.articlePlatform = 'ebay.de';
+      result.articlePlatform = EbayPlatform.defaultPlatform;
     }
+    // currency could not be determined from the page, use the platform currency
+    if (result.articleCurrency == null)
+      result.articleCurrency = EbayPlatform.get(result.articlePlatform).currency;
     //console.debug("Biet-O-Matic: EbayParser.parsePage() result=%O", result);
     return result;
   }
 
+  // the locale of the platform determines the number format of prices on the page
+  getLocale() {
+    return this.platform != null ? this.platform.locale : null;
+  }
+
   /*
    * When the mutation observer is called, the script will check for changed values
    * - maxBid
@@ -120,18 +132,38 @@ class EbayParser {
   parsePageRefresh() {
     let result = {};
     // DOM Element Parsing
-    const parseInfoArray = new Map([
-      ['articleId', ['#descItemNumber']],
-      ['articleBidPrice', [
-        '#prcIsum_bidPrice',  // normal running article
-        '.vi-VR-cvipPrice',   // auction just ended (orig_cvip=false)
-      ]],
-      ['articleBidCount', ['#qty-test']],
-      ['articleMinimumBid', ['#MaxBidId']],
-      ['articleAuctionState', ['#msgPanel']],
-    ]);
-    for (const item of parseInfoArray) {
-      const info = this.parseInfoEntry(item[0], item[1]);
+    this.parseInfoEntries(EbayParser.parseProfiles[this.layout].refresh, result);
+    // used by the popup for the parser health statistics
+    result.articleLayout = this.layout;
+    return result;
+  }
+
+  /*
+   * parse the given keys into result
+   * - first via the CSS selectors, if these fail via the schema.org data of the page
+   * - the strategy which produced the value is recorded in result.articleParseSources
+   *   (selector, microdata or jsonld), keys without value are recorded in result.articleParseMisses
+   *   (this is used by the popup for the parser health statistics)
+   */
+  parseInfoEntries(parseInfoArray, result) {
+    if (!result.hasOwnProperty('articleParseSources'))
+      result.articleParseSources = {};
+    if (!result.hasOwnProperty('articleParseMisses'))
+      result.articleParseMisses = [];
+    for (const [key, selectors] of parseInfoArray) {
+      let info = this.parseInfoEntry(key, selectors);
+      let source = 'selector';
+      if (info[key] == null || info[key] === "") {
+        info = this.parseStructuredDataEntry(key);
+        source = info.source;
+        delete info.source;
+      }
+      if (info[key] != null && info[key] !== "") {
+        result.articleParseSources[key] = source;
+        console.debug("Biet-O-Matic: parseInfoEntries() %s determined via %s", key, source);
+      } else {
+        result.articleParseMisses.push(key);
+      }
       Object.assign(result, info);
     }
     return result;
@@ -143,7 +175,7 @@ class EbayParser {
    * - uses priceCurrency for currency
    * returns {currency: "EUR", price: 0.01}
    */
-  static parsePriceString(domEntry, currencySelector = null) {
+  static parsePriceString(domEntry, currencySelector = null, locale = null) {
     const result = {
       price: null,
       currency: null
@@ -160,17 +192,15 @@ class EbayParser {
       // handed over domEntry is just a text
       price = domEntry;
     }
-    // use regular expression to parse info, e.g.
+    // the Money module detects the currency and separators, e.g.
     // US $1,000.12 (on ebay.com)
     // US $1.100,00 (on ebay.de)
     // GBP 26.00
     // EUR 123,00
-    const regex = /(.*?)([0-9,\\.]+)(?:.|,)([0-9]{2})/;
-    if (regex.test(price)) {
-      const rexres = price.match(regex);
-      let p1 = rexres[2].replace(/[,\\.]/, '');
-      let p2 = rexres[3];
-      result.price = Number.parseFloat(`${p1}.${p2}`);
+    const money = Money.parse(price, locale, result.currency);
+    if (money != null) {
+      result.price = money.toNumber();
+      result.currency = money.currency;
     } else {
       // fallback get price from
       if (typeof domEntry === "object") {
@@ -210,7 +240,7 @@ class EbayParser {
             }
             if (value == null) {
               // parse traditionally via timems (good) or text field (bad)
-              value = EbayParser.parseEndTime(domEntry);
+              value = EbayParser.parseEndTime(domEntry, this.platform);
             }
           } else if (key === "articleSeller") {
             try {
@@ -227,12 +257,15 @@ class EbayParser {
             } catch(e) {
               console.log("Biet-O-Matic: Cannot parse entityId from raptor js: " + e);
             }
+            // the redesigned page shows the seller name in the seller card
+            if (value == null && this.layout === 'x')
+              value = domEntry.textContent.trim();
           } else if (key === "articleBidPrice" || key === 'articleBuyPrice') {
             /*
              * It would be easy to just take the price from the content attribute
              *   however when the price gets updated on the page, the content attribute does not.
              */
-            const priceInfo = EbayParser.parsePriceString(domEntry, this.data.querySelectorAll('[itemprop="priceCurrency"]'));
+            const priceInfo = EbayParser.parsePriceString(domEntry, this.data.querySelectorAll('[itemprop="priceCurrency"]'), this.getLocale());
             value = priceInfo.price;
             if (!result.hasOwnProperty('articleCurrency'))
               result.articleCurrency = priceInfo.currency;
@@ -247,11 +280,12 @@ class EbayParser {
           } else if (key === "articleMinimumBid") {
             // the MinBidId input has a attribute which lists the minimum bid
             // that will be used in the UI to indicate if the maxBid is high enough
-            value = domEntry.getAttribute('aria-label')
+            // the redesigned page shows the minimum bid as text below the bid input
+            value = (domEntry.hasAttribute('aria-label') ? domEntry.getAttribute('aria-label') : domEntry.textContent)
               .replace(/\n/g, "")
               .replace(/\s+/g, " ");
             //console.debug("Minimum Bid: %O", value);
-            value = EbayParser.parsePriceString(value).price;
+            value = EbayParser.parsePriceString(value, null, this.getLocale()).price;
           } else if (key === "articleBidCount") {
             //console.debug("articleBidCount=%s", domEntry.textContent.trim());
             value = Number.parseInt(domEntry.textContent.trim(), 10);
@@ -279,9 +313,34 @@ class EbayParser {
                 .replace(/\s+/g, ' ')
                 .replace(/[\s-\|]+$/g, '');
             }
+          } else if (key === 'articleSellerFeedbackScore') {
+            // e.g. "(12.345)" or "12,345"
+            value = Number.parseInt(domEntry.textContent.replace(/[^0-9]/g, ''), 10);
+            if (Number.isNaN(value)) value = null;
+          } else if (key === 'articleSellerPositivePercent') {
+            // e.g. "99,8% positive Bewertungen" or "99.8% positive feedback"
+            const matches = domEntry.textContent.match(/([0-9]{1,3}(?:[.,][0-9]+)?)\s*%/);
+            if (matches != null) value = Number.parseFloat(matches[1].replace(/,/, '.'));
+          } else if (key === 'articleSellerMemberSince') {
+            // the seller panel contains e.g. "Mitglied seit: 12. Mai 2005" or "Member since: May 12, 2005"
+            const text = domEntry.textContent.replace(/\s+/g, ' ');
+            const matches = text.match(EbayParser.memberSinceRegex);
+            if (matches != null) value = matches[1].trim();
+          } else if (key === 'articleVariations') {
+            // the variation matrix is only available in the raptor javascript
+            for (let script of this.data.scripts) {
+              if (script.src === "" && (script.text.includes('"itmVarModel"') || script.text.includes('"MSKU"'))) {
+                value = EbayParser.parseVariations(script.text);
+                if (value != null) break;
+              }
+            }
+          } else if (key === 'articleImages') {
+            value = EbayParser.parseImageGallery(domEntry);
+          } else if (key === 'articleSpecifics') {
+            value = EbayParser.parseItemSpecifics(domEntry);
           } else if (key === 'articleImage') {
-            // store primary Image URL
-            value = domEntry.src;
+            // store primary Image URL (redesigned page loads the images lazy)
+            value = domEntry.src || domEntry.getAttribute('data-src');
           } else if (key === 'articlePaymentMethods') {
             try {
               const methods = [];
@@ -332,55 +391,301 @@ class EbayParser {
     return result;
   }
 
+  /*
+   * Parse the "Item specifics" (Artikelmerkmale) into an object, e.g. {Marke: "Apple", Modell: "iPhone 8"}
+   * - classic: table with td.attrLabels and the value in the next cell
+   * - x: ux-labels-values elements with separate label and value
+   * returns null if no specifics were found
+   */
+  static parseItemSpecifics(domEntry) {
+    const result = {};
+    const cleanup = (text) => text.trim()
+      .replace(/\n/g, "")
+      .replace(/\s+/g, " ")
+      .replace(/:$/, "");
+    const add = (label, value) => {
+      if (label == null || value == null) return;
+      label = cleanup(label.textContent);
+      value = cleanup(value.textContent);
+      // the condition contains a long explanation, which is not needed
+      if (value.length > 100) value = value.substring(0, 99) + "…";
+      if (label !== "" && value !== "" && !result.hasOwnProperty(label)) result[label] = value;
+    };
+    for (const label of domEntry.querySelectorAll('td.attrLabels')) {
+      add(label, label.nextElementSibling);
+    }
+    for (const entry of domEntry.querySelectorAll('.ux-labels-values')) {
+      add(entry.querySelector('.ux-labels-values__labels'), entry.querySelector('.ux-labels-values__values'));
+    }
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  /*
+   * Collect the URLs of all gallery images
+   * - the thumbnails are replaced with a larger version (s-l64.jpg -> s-l500.jpg)
+   * - lazy loaded images have the URL in data-src
+   * returns a list of URLs or null if no images were found
+   */
+  static parseImageGallery(domEntry) {
+    const result = [];
+    for (const img of domEntry.querySelectorAll('img')) {
+      let url = img.getAttribute('data-zoom-src') || img.getAttribute('src') || img.getAttribute('data-src');
+      if (url == null || !url.startsWith('http')) continue;
+      url = url.replace(/\/s-l[0-9]+\./, '/s-l500.');
+      if (!result.includes(url)) result.push(url);
+    }
+    if (result.length === 0) return null;
+    return result.slice(0, EbayParser.maxImages);
+  }
+
+  /*
+   * Parse the variation matrix (e.g. size/colour) from the raptor javascript
+   * - classic page: itmVarModel with itemVariationsMap (variationId -> traitValuesMap)
+   * - redesigned page: MSKU with variationCombinations (menu value ids -> variationId)
+   * returns [{id: "123", label: "Größe: M, Farbe: Rot"}, ...] or null if the article has no variations
+   */
+  static parseVariations(scriptText) {
+    const result = [];
+    const menuItemName = (menuItemMap, valueId) => {
+      const menuItem = menuItemMap[valueId];
+      if (menuItem == null) return "?";
+      return menuItem.displayName || menuItem.valueName || "?";
+    };
+    const model = EbayParser.extractJsonObject(scriptText, 'itmVarModel');
+    if (model != null && model.hasOwnProperty('itemVariationsMap')) {
+      const menuItemMap = model.menuItemMap || {};
+      for (const [id, variation] of Object.entries(model.itemVariationsMap)) {
+        const traits = variation.traitValuesMap || {};
+        const label = Object.keys(traits)
+          .map(trait => `${trait}: ${menuItemName(menuItemMap, traits[trait])}`)
+          .join(', ');
+        result.push({id: id.toString(), label: label});
+      }
+    } else {
+      const msku = EbayParser.extractJsonObject(scriptText, 'MSKU');
+      if (msku == null || !msku.hasOwnProperty('variationCombinations')) return null;
+      const menuItemMap = msku.menuItemMap || {};
+      const menus = msku.menus || [];
+      for (const [combination, id] of Object.entries(msku.variationCombinations)) {
+        // the combination is the list of menu value ids, in the same order as the menus
+        const label = combination.split('_')
+          .map((valueId, index) => {
+            const menu = menus[index];
+            const name = menu != null ? (menu.displayLabel || menu.displayName || '') : '';
+            return (name !== '' ? `${name}: ` : '') + menuItemName(menuItemMap, valueId);
+          })
+          .join(', ');
+        result.push({id: id.toString(), label: label});
+      }
+    }
+    if (result.length === 0) return null;
+    // limit the storage usage for articles with very many variations
+    return result.slice(0, EbayParser.maxVariations);
+  }
+
+  /*
+   * extract a JSON object from a javascript text, e.g. "key":{...}
+   * the end of the object is determined by counting the braces (strings are skipped)
+   */
+  static extractJsonObject(text, key) {
+    const start = text.indexOf(`"${key}":{`);
+    if (start < 0) return null;
+    const begin = start + key.length + 3;
+    let depth = 0;
+    let inString = false;
+    for (let i = begin; i < text.length; i++) {
+      const c = text[i];
+      if (inString) {
+        if (c === '\\') i++;
+        else if (c === '"') inString = false;
+      } else if (c === '"') {
+        inString = true;
+      } else if (c === '{') {
+        depth++;
+      } else if (c === '}') {
+        depth--;
+        if (depth === 0) {
+          try {
+            return JSON.parse(text.substring(begin, i + 1));
+          } catch (e) {
+            console.log("Biet-O-Matic: extractJsonObject(%s) Cannot parse: %s", key, e);
+            return null;
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /*
+   * parse a specific key from the schema.org data (microdata itemprop attributes or JSON-LD)
+   * returns {key: value, source: 'microdata'|'jsonld'} or {} if the key could not be determined
+   */
+  parseStructuredDataEntry(key) {
+    const result = {};
+    if (!EbayParser.structuredDataPaths.hasOwnProperty(key))
+      return result;
+    if (this.structuredData == null) {
+      this.structuredData = {
+        microdata: this.getMicrodata(),
+        jsonld: this.getJsonLinkedData(),
+      };
+    }
+    for (const source of ['microdata', 'jsonld']) {
+      const data = this.structuredData[source];
+      for (const path of EbayParser.structuredDataPaths[key]) {
+        if (!data.hasOwnProperty(path) || data[path] == null || data[path] === "") continue;
+        try {
+          const value = EbayParser.convertStructuredDataValue(key, data[path], data);
+          if (value == null) continue;
+          result[key] = value;
+          result.source = source;
+          // the currency is delivered together with the price
+          if ((key === 'articleBidPrice' || key === 'articleBuyPrice') && data.hasOwnProperty('offers.priceCurrency'))
+            result.articleCurrency = data['offers.priceCurrency'];
+          return result;
+        } catch (e) {
+          console.log("Biet-O-Matic: parseStructuredDataEntry(%s) Cannot convert %s=%s: %s", key, path, data[path], e);
+        }
+      }
+    }
+    console.debug("Biet-O-Matic: parseStructuredDataEntry() No value found for key %s", key);
+    return result;
+  }
+
+  /*
+   * collect the microdata (itemprop attributes) of the schema.org Product as flat object
+   * e.g. {name: "Title", "offers.price": "12.00", "offers.seller.name": "seller"}
+   */
+  getMicrodata() {
+    const result = {};
+    const product = this.data.querySelector('[itemtype$="schema.org/Product"]');
+    if (product == null) return result;
+    for (const element of product.querySelectorAll('[itemprop]')) {
+      // determine the path via the parent itemprop elements, e.g. offers.seller.name
+      const path = [];
+      for (let node = element; node != null && node !== product; node = node.parentElement) {
+        if (node.hasAttribute('itemprop'))
+          path.unshift(node.getAttribute('itemprop').trim().split(/\s+/)[0]);
+      }
+      const key = path.join('.');
+      if (result.hasOwnProperty(key) || element.hasAttribute('itemscope')) continue;
+      let value;
+      if (element.hasAttribute('content')) value = element.getAttribute('content');
+      else if (element.tagName === 'LINK' || element.tagName === 'A') value = element.getAttribute('href');
+      else if (element.tagName === 'IMG') value = element.getAttribute('src');
+      else if (element.tagName === 'TIME' && element.hasAttribute('datetime')) value = element.getAttribute('datetime');
+      else value = element.textContent.trim().replace(/\s+/g, " ");
+      result[key] = value;
+    }
+    return result;
+  }
+
+  /*
+   * collect the JSON-LD data of the schema.org Product as flat object (same format as getMicrodata)
+   * - for lists (e.g. multiple offers) only the first entry is used
+   */
+  getJsonLinkedData() {
+    const result = {};
+    const findProduct = (obj) => {
+      if (obj == null || typeof obj !== 'object') return null;
+      if (Array.isArray(obj)) {
+        for (const entry of obj) {
+          const product = findProduct(entry);
+          if (product != null) return product;
+        }
+        return null;
+      }
+      const type = obj['@type'];
+      if (type === 'Product' || (Array.isArray(type) && type.includes('Product'))) return obj;
+      return findProduct(obj['@graph']);
+    };
+    const flatten = (obj, prefix) => {
+      if (Array.isArray(obj)) obj = obj[0];
+      if (obj == null) return;
+      if (typeof obj !== 'object') {
+        if (!result.hasOwnProperty(prefix)) result[prefix] = obj.toString();
+        return;
+      }
+      for (const key of Object.keys(obj)) {
+        if (key.startsWith('@')) continue;
+        flatten(obj[key], prefix === '' ? key : `${prefix}.${key}`);
+      }
+    };
+    for (const script of this.data.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const product = findProduct(JSON.parse(script.textContent));
+        if (product != null) flatten(product, '');
+      } catch (e) {
+        console.log("Biet-O-Matic: getJsonLinkedData() Cannot parse JSON-LD: " + e);
+      }
+    }
+    return result;
+  }
+
+  /*
+   * convert the schema.org value to the format which is used by parseInfoEntry
+   */
+  static convertStructuredDataValue(key, value, data) {
+    if (key === 'articleBidPrice' || key === 'articleBuyPrice' || key === 'articleMinimumBid') {
+      const price = Number.parseFloat(value);
+      return Number.isNaN(price) ? null : price;
+    } else if (key === 'articleEndTime') {
+      const date = Date.parse(value);
+      return Number.isNaN(date) ? null : date;
+    } else if (key === 'articleBidCount') {
+      const count = Number.parseInt(value, 10);
+      return Number.isNaN(count) ? null : count;
+    } else if (key === 'articleShippingCost') {
+      // shipping cost is shown as text, e.g. "EUR 4.99"
+      const price = Number.parseFloat(value);
+      if (Number.isNaN(price)) return null;
+      const currency = data['offers.shippingDetails.shippingRate.currency'] || data['offers.priceCurrency'] || '';
+      return `${currency} ${price.toFixed(2)}`.trim();
+    } else if (key === 'articleState') {
+      // e.g. https://schema.org/UsedCondition -> Used
+      return value.replace(/^https?:\/\/schema\.org\//i, '').replace(/Condition$/, '');
+    }
+    return value.toString().trim();
+  }
+
   /*
    * Convert Ebay Time String (articleEndTime) to Date()
    * German: "(01. Dez. 2019\n							17:29:13 MEZ)"
    * English: 1575217753000 (Unix Epoch stored in attribute timems) (only on ebay.com right now)
+   * - the date format and month names are taken from the platform, or all platforms are tried if unknown
+   * - the time zone abbreviation (e.g. MEZ, MESZ, BST, PDT) is respected, the result is UTC epoch (ms)
    */
-  static parseEndTime(domValue) {
+  static parseEndTime(domValue, platform = null) {
     // ebay.com has unix epoch time, yeah!
     //<span class="timeMs" timems="1575217753000">Today 5:29PM</span>
     let timems = domValue.querySelector('span[timems]');
     if (timems != null) {
       return parseInt(timems.getAttribute('timems'), 10);
     }
-    // ebay.de still only has ugly date string which needs to be parsed
-    let months = {
-      'Jan': 0,
-      'Feb': 1,
-      'Mrz': 2,
-      'Apr': 3,
-      'Mai': 4,
-      'Jun': 5,
-      'Jul': 6,
-      'Aug': 7,
-      'Sep': 8,
-      'Okt': 9,
-      'Nov': 10,
-      'Dez': 11
-    };
+    // other platforms still only have ugly date string which needs to be parsed
     let text = domValue.textContent.trim();
     text = text.replace(/\n/g, ' ');
     // domValue.innerText:
     //   normal Article: "Restzeit:↵4T 00Std ↵(08. Dez. 2019 17:30:42 MEZ)"
     //   ended Article: "01. Dez. 2019 12:35:50 MEZ"
-    let regex = /^[(]?([0-9]{2})\.\s(.+)\.\s([0-9]{4})\s+([0-9]{2}):([0-9]{2}):([0-9]{2})\s+([A-Z]{3,4})[)]?$/i;
-    if (regex.test(text)) {
-      let m = text.match(regex);
-      const year = parseInt(m[3], 10);
-      const month = months[m[2]];
-      const day = parseInt(m[1], 10);
-      const hour = parseInt(m[4], 10);
-      const minute = parseInt(m[5], 10);
-      const second = parseInt(m[6], 10);
-      const tz = m[7];
-      // new Date(year, monthIndex [, day [, hour [, minutes [, seconds [, milliseconds]]]]]);
-      const date = new Date(year, month, day, hour, minute, second);
-      //console.debug("Biet-O-Matic: Input Date=%O, regexMatch=%O, date=%O", text, m, date);
-      return date.valueOf();
-    } else {
-      console.warn("Biet-O-Matic: Unable to parse date from Input Date=%s", text);
+    const platforms = (platform != null) ? [platform] : EbayPlatform.getAll();
+    for (const p of platforms) {
+      if (!p.dateFormat.test(text)) continue;
+      const m = text.match(p.dateFormat).groups;
+      const month = p.getMonthIndex(m.month);
+      if (month == null) continue;
+      const year = parseInt(m.year, 10);
+      const day = parseInt(m.day, 10);
+      const hour = parseInt(m.hour, 10);
+      const minute = parseInt(m.minute, 10);
+      const second = parseInt(m.second, 10);
+      // the time zone abbreviation (e.g. MEZ/MESZ, PST/PDT) determines the offset to UTC
+      const date = p.getEpoch(year, month, day, hour, minute, second, m.tz);
+      //console.debug("Biet-O-Matic: Input Date=%O, regexMatch=%O, date=%O", text, m, new Date(date));
+      return date;
     }
+    console.warn("Biet-O-Matic: Unable to parse date from Input Date=%s", text);
     return null;
   }
 
@@ -398,6 +703,11 @@ class EbayParser {
           return false;
         }
         const strings = EbayParser.auctionEndStates[endState].strings;
+        if (strings == null) return false;
+        // some states are only final once the auction ended, this requires a known end time in the past
+        if (EbayParser.auctionEndStates[endState].requiresEnded === true
+          && (ebayArticleInfo.articleEndTime == null || ebayArticleInfo.articleEndTime > Date.now()))
+          return false;
         for (const lang of Object.keys(strings)) {
           const messages = strings[lang];
           for (const message of messages) {
@@ -528,28 +838,218 @@ class EbayParser {
 
   /*
    * Determine time from ebay server and returns the difference to the local time in ms
-   * The difference for a correctly synchronized PC would be around +100ms, due to the processing times.
    * - a positive value means the system time is ahead
    * - a negative value means the system time is behind ebay time
    */
   static async getEbayTimeDifference() {
+    const estimate = await EbayParser.estimateEbayTimeOffset();
+    return estimate.offset;
+  }
+
+  /*
+   * Estimate the offset of the local clock vs. the eBay time from multiple samples
+   * The Date header only has a precision of 1s, therefore:
+   * - the samples are taken with an interval which is not a multiple of 1s, to hit different positions within the second
+   * - only samples with a low round trip time (RTT) are used, samples delayed by the network are dropped
+   * - each sample limits the offset to a range, the ranges of all samples are intersected
+   * - if the ranges do not overlap (e.g. eBay servers with different time), the median of the samples is used
+   * returns {offset: ms, accuracy: +/- ms, rtt: ms, samples: count, timestamp: ms}
+   */
+  static async estimateEbayTimeOffset(sampleCount = EbayParser.timeSampleCount) {
+    let samples = [];
+    for (let i = 0; i < sampleCount; i++) {
+      if (i > 0) await new Promise(resolve => window.setTimeout(resolve, EbayParser.timeSampleInterval));
+      try {
+        samples.push(await EbayParser.getEbayTimeSample());
+      } catch (e) {
+        console.log("Biet-O-Matic: estimateEbayTimeOffset() Sample %d failed: %s", i, e.message);
+      }
+    }
+    if (samples.length === 0)
+      throw new Error("Failed to fetch ebay time: No valid sample");
+
+    // RTT filtering: keep the samples with the lowest delay (at least half of them)
+    samples.sort((a, b) => a.rtt - b.rtt);
+    const minRtt = samples[0].rtt;
+    samples = samples.filter((sample, index) => {
+      return index < Math.ceil(samples.length / 2) || sample.rtt <= minRtt * EbayParser.timeSampleMaxRttFactor;
+    });
+
+    const result = {rtt: Math.round(minRtt), samples: samples.length, timestamp: Date.now()};
+    const lower = Math.max(...samples.map(sample => sample.lower));
+    const upper = Math.min(...samples.map(sample => sample.upper));
+    if (lower <= upper) {
+      result.offset = Math.round((lower + upper) / 2);
+      result.accuracy = Math.round((upper - lower) / 2);
+    } else {
+      const offsets = samples.map(sample => (sample.lower + sample.upper) / 2).sort((a, b) => a - b);
+      const middle = Math.floor(offsets.length / 2);
+      const median = offsets.length % 2 === 0 ? (offsets[middle - 1] + offsets[middle]) / 2 : offsets[middle];
+      result.offset = Math.round(median);
+      result.accuracy = Math.round(500 + minRtt / 2);
+    }
+    console.debug("Biet-O-Matic: estimateEbayTimeOffset() offset=%sms (+/- %sms), rtt=%sms, samples=%s",
+      result.offset, result.accuracy, result.rtt, result.samples);
+    return result;
+  }
+
+  /*
+   * Single time sample, the eBay time is somewhere within [Date, Date + 1s) when the response was created,
+   * which was at local time between the request was sent and the response received.
+   * returns {rtt, lower, upper} with the possible range for the offset
+   */
+  static async getEbayTimeSample() {
     const timeOfRequest = performance.now();
     let responseGet = await fetch('https://viv.ebay.com/ws/eBayISAPI.dll?EbayTime', {method: "GET", mode: "no-cors", cache: "no-cache"});
+    const rtt = performance.now() - timeOfRequest;
+    const timeOfResponse = Date.now();
     if (!responseGet.ok) {
       throw new Error(`Failed to fetch ebay time: HTTP ${responseGet.status} - ${responseGet.statusText}`);
     }
-    const requestDuration = performance.now() - timeOfRequest;
-    const headerDateString = responseGet.headers.get("Date");
-    const headerDate = new Date(headerDateString);
-    return Date.now() - (requestDuration / 2) - headerDate;
+    const headerDate = new Date(responseGet.headers.get("Date")).getTime();
+    if (Number.isNaN(headerDate)) {
+      throw new Error("Failed to fetch ebay time: No valid Date header");
+    }
+    return {
+      rtt: rtt,
+      lower: (timeOfResponse - rtt) - (headerDate + 1000),
+      upper: timeOfResponse - headerDate
+    };
+  }
+
+  /*
+   * Tab-less bidding and bid rehearsal: load the offer page (MakeBid) and return the bid confirmation form
+   * - the browser session (cookies) is used, same as for the offer tab
+   * - throws an Error if the user is not signed in to eBay (redirect to the sign-in page)
+   * - throws an Error if the page does not contain the form (e.g. auction ended, maximum bid too low)
+   */
+  static async getBidForm(offerUrl) {
+    let response = await fetch(offerUrl, {method: "GET", credentials: "include", cache: "no-cache"});
+    if (!response.ok) {
+      throw new Error(`Failed to load offer page: HTTP ${response.status} - ${response.statusText}`);
+    }
+    if (EbayParser.signInUrlRegex.test(response.url)) {
+      throw new Error(browser.i18n.getMessage('popup_notSignedIn'));
+    }
+    const htmlString = await response.text();
+    let doc = document.implementation.createHTMLDocument("eBay Offer");
+    doc.documentElement.innerHTML = htmlString;
+    const form = EbayParser.parseBidForm(doc, response.url);
+    $(doc).empty();
+    doc = null;
+    if (form == null) {
+      throw new Error(browser.i18n.getMessage('popup_bidFormNotFound'));
+    }
+    return form;
   }
 
   /*
-   * Access the ebay watchlist and return the item ids
-   * this is limited to 100 items
+   * returns the form which contains the confirmbid button, or null
+   * {action: "https://offer.ebay.de/ws/eBayISAPI.dll", method: "POST", fields: [["item", "123"], ...], maxBid: "3.00"}
    */
-  static async getWatchListItems(ebayPlatform = 'ebay.com') {
-    let response = await fetch(`https://www.${ebayPlatform}/myb/WatchList?custom_list_id=WATCH_LIST&sort=ending_soon&items_per_page=100`);
+  static parseBidForm(doc, baseUrl) {
+    const confirmButton = doc.querySelector('input[name="confirmbid"], button[name="confirmbid"]');
+    if (confirmButton == null || confirmButton.form == null) return null;
+    const form = confirmButton.form;
+    const result = {
+      action: new URL(form.getAttribute('action') || baseUrl, baseUrl).href,
+      method: (form.getAttribute('method') || 'POST').toUpperCase(),
+      fields: [],
+      maxBid: null
+    };
+    for (const element of form.elements) {
+      if (element.name == null || element.name === '' || element.disabled) continue;
+      const type = (element.type || '').toLowerCase();
+      // only the confirm button is submitted, as if it was clicked
+      if (['submit', 'button', 'image', 'reset'].includes(type) && element !== confirmButton) continue;
+      if (['checkbox', 'radio'].includes(type) && !element.checked) continue;
+      result.fields.push([element.name, element.value]);
+      if (element.name.toLowerCase() === 'maxbid') result.maxBid = element.value;
+    }
+    return result;
+  }
+
+  /*
+   * Tab-less bidding: submit the bid confirmation form
+   * returns the auction state shown by eBay after the bid (same as shown in the offer tab), or null if not found
+   */
+  static async submitBidForm(form) {
+    const body = new URLSearchParams(form.fields);
+    const init = {method: form.method, credentials: "include", cache: "no-cache"};
+    let url = form.action;
+    if (form.method === 'GET') {
+      url += (url.includes('?') ? '&' : '?') + body.toString();
+    } else {
+      init.body = body;
+    }
+    let response = await fetch(url, init);
+    if (!response.ok) {
+      throw new Error(`Failed to submit bid: HTTP ${response.status} - ${response.statusText}`);
+    }
+    const htmlString = await response.text();
+    let doc = document.implementation.createHTMLDocument("eBay Offer Status");
+    doc.documentElement.innerHTML = htmlString;
+    const status = doc.querySelector('div.st');
+    const result = status == null ? null : status.outerHTML;
+    $(doc).empty();
+    doc = null;
+    return result;
+  }
+
+  /*
+   * Access the eBay watch list and return the item ids
+   * - all pages of the list are fetched, until a page does not contain new items
+   * - listId: WATCH_LIST (default) or the id of a custom list
+   */
+  static async getWatchListItems(ebayPlatform = 'ebay.com', listId = 'WATCH_LIST') {
+    const result = [];
+    for (let page = 1; page <= EbayParser.maxWatchListPages; page++) {
+      const doc = await EbayParser.getWatchListPage(ebayPlatform, listId, page);
+      let newItems = 0;
+      // <input class="checkbox__custom-control checkbox__control item-checkbox" data-itemid="164047573456" data-variationid=""
+      $(doc).find('input[data-itemid]').each((index, element) => {
+        if (result.includes(element.dataset.itemid)) return;
+        result.push(element.dataset.itemid);
+        newItems++;
+      });
+      $(doc).empty();
+      // eBay returns the last page again if the page number is too high
+      if (newItems === 0) break;
+    }
+    return result;
+  }
+
+  /*
+   * Access the eBay watch list and return the available lists
+   * [{id: "WATCH_LIST", name: "Watch list"}, {id: "123", name: "Presents"}]
+   */
+  static async getWatchLists(ebayPlatform = 'ebay.com') {
+    const doc = await EbayParser.getWatchListPage(ebayPlatform);
+    const result = EbayParser.parseWatchLists(doc);
+    $(doc).empty();
+    return result;
+  }
+
+  // the custom lists are linked in the list navigation of the watch list page
+  static parseWatchLists(doc) {
+    const result = [{id: 'WATCH_LIST', name: null}];
+    for (const link of doc.querySelectorAll('a[href*="custom_list_id="]')) {
+      let id;
+      try {
+        id = new URL(link.getAttribute('href'), 'https://www.ebay.com').searchParams.get('custom_list_id');
+      } catch (e) {
+        continue;
+      }
+      if (id == null || id === '' || result.some(list => list.id === id)) continue;
+      // e.g. "Presents (12)"
+      const name = link.textContent.replace(/\s+/g, ' ').replace(/\([0-9.,]+\)\s*$/, '').trim();
+      result.push({id: id, name: name === '' ? id : name});
+    }
+    return result;
+  }
+
+  static async getWatchListPage(ebayPlatform = 'ebay.com', listId = 'WATCH_LIST', page = 1) {
+    let response = await fetch(EbayPlatform.get(ebayPlatform).getWatchListUrl(listId, page));
     if (response.redirected) {
       throw new Error(browser.i18n.getMessage('popup_ebayLoginRequired', [ebayPlatform]));
     }
@@ -559,27 +1059,437 @@ class EbayParser {
     const htmlString = await response.text();
     let doc = document.implementation.createHTMLDocument("eBay Watch List");
     doc.documentElement.innerHTML = htmlString;
-    let result = [];
-    // <input class="checkbox__custom-control checkbox__control item-checkbox" data-itemid="164047573456" data-variationid=""
-    $(doc).find('input[data-itemid]').each((index, element) => {
-      result.push(element.dataset.itemid);
-    });
+    return doc;
+  }
+
+  /*
+   * Access the My eBay bids/offers list and return the items we have bid on
+   * [{articleId: "123", articleMaxBid: 12.5, articleHighBidder: true}, ...]
+   */
+  static async getBiddingItems(ebayPlatform = 'ebay.com') {
+    const platform = EbayPlatform.get(ebayPlatform);
+    let response = await fetch(platform.getBidsOffersUrl());
+    if (response.redirected) {
+      throw new Error(browser.i18n.getMessage('popup_ebayLoginRequired', [platform.id]));
+    }
+    if (!response.ok) {
+      throw new Error(browser.i18n.getMessage('popup_ebayError', [platform.id, response.status.toString(), response.statusText]));
+    }
+    const htmlString = await response.text();
+    let doc = document.implementation.createHTMLDocument("eBay Bids/Offers");
+    doc.documentElement.innerHTML = htmlString;
+    const result = EbayParser.parseBiddingList(doc, platform);
+    $(doc).empty();
+    doc = null;
+    return result;
+  }
+
+  /*
+   * parse the items of the My eBay bids/offers list
+   * - each item container has the item id as data attribute (or links to the item)
+   * - the max bid and high bidder state are determined from the text of the container
+   *   e.g. "Ihr Maximalgebot: EUR 12,50" and "Sie sind Höchstbietender"
+   */
+  static parseBiddingList(doc, platform = null) {
+    const result = [];
+    const locale = platform != null ? platform.locale : null;
+    for (const element of doc.querySelectorAll('[data-itemid], [data-listing-id]')) {
+      // ended auctions in the "Didn't win" section are not relevant
+      if (element.closest(EbayParser.didntWinSectionSelector) != null) continue;
+      const articleId = element.dataset.itemid || element.dataset.listingId;
+      if (articleId == null || !/^[0-9]+$/.test(articleId) || result.some(item => item.articleId === articleId))
+        continue;
+      const container = element.closest('li, tr, .m-item') || element;
+      const text = container.textContent.replace(/\s+/g, ' ').trim();
+      const item = {
+        articleId: articleId,
+        articleMaxBid: null,
+        articleHighBidder: null,
+      };
+      const maxBidMatches = text.match(EbayParser.biddingMaxBidRegex);
+      if (maxBidMatches != null) {
+        const maxBid = Money.parse(maxBidMatches[1], locale);
+        if (maxBid != null) item.articleMaxBid = maxBid.toNumber();
+      }
+      if (EbayParser.biddingOutbidRegex.test(text)) item.articleHighBidder = false;
+      else if (EbayParser.biddingHighBidderRegex.test(text)) item.articleHighBidder = true;
+      result.push(item);
+    }
+    return result;
+  }
+
+  /*
+   * Access the My eBay "Won" (purchase history) and "Didn't win" lists
+   * - returns {won: ["123", ...], lost: ["456", ...]}
+   * - this is the confirmed auction result, in contrast to the text matching of getAuctionEndState()
+   */
+  static async getAuctionResults(ebayPlatform = 'ebay.com') {
+    const platform = EbayPlatform.get(ebayPlatform);
+    const getDocument = async (url, title) => {
+      const response = await fetch(url);
+      if (response.redirected) {
+        throw new Error(browser.i18n.getMessage('popup_ebayLoginRequired', [platform.id]));
+      }
+      if (!response.ok) {
+        throw new Error(browser.i18n.getMessage('popup_ebayError', [platform.id, response.status.toString(), response.statusText]));
+      }
+      const doc = document.implementation.createHTMLDocument(title);
+      doc.documentElement.innerHTML = await response.text();
+      return doc;
+    };
+    const result = {won: [], lost: []};
+    let doc = await getDocument(platform.getPurchaseHistoryUrl(), "eBay Purchase History");
+    result.won = EbayParser.parseItemIds(doc);
+    $(doc).empty();
+    doc = await getDocument(platform.getBidsOffersUrl(), "eBay Bids/Offers");
+    for (const section of doc.querySelectorAll(EbayParser.didntWinSectionSelector)) {
+      for (const articleId of EbayParser.parseItemIds(section)) {
+        if (!result.lost.includes(articleId) && !result.won.includes(articleId)) result.lost.push(articleId);
+      }
+    }
+    $(doc).empty();
+    doc = null;
+    return result;
+  }
+
+  /*
+   * returns the ids of all items in the given document or element
+   * - data attributes (data-itemid, data-listing-id)
+   * - links to the item page (/itm/123) or order details (?itemid=123)
+   */
+  static parseItemIds(element) {
+    const result = [];
+    const add = (articleId) => {
+      if (articleId != null && /^[0-9]{9,15}$/.test(articleId) && !result.includes(articleId)) result.push(articleId);
+    };
+    for (const entry of element.querySelectorAll('[data-itemid], [data-listing-id]'))
+      add(entry.dataset.itemid || entry.dataset.listingId);
+    for (const link of element.querySelectorAll('a[href]')) {
+      const href = link.getAttribute('href');
+      add(EbayParser.parseItemIdFromUrl(href));
+      const matches = href.match(/[?&]item(?:id)?=([0-9]+)/i);
+      if (matches != null) add(matches[1]);
+    }
+    return result;
+  }
+
+  /*
+   * Access an eBay search results (or seller store) page and return the listings
+   * [{articleId: "123", title: "...", price: "EUR 1,00", bidCount: 2, timeLeft: "1T 2Std", image: "https://...", auction: true}]
+   */
+  static async getSearchResults(url) {
+    const platform = EbayPlatform.fromUrl(url);
+    if (platform == null || !EbayPlatform.isSearchUrl(url))
+      throw new Error(browser.i18n.getMessage('popup_searchUrlInvalid', [url]));
+    let response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(browser.i18n.getMessage('popup_ebayError', [platform.id, response.status.toString(), response.statusText]));
+    }
+    const htmlString = await response.text();
+    let doc = document.implementation.createHTMLDocument("eBay Search Results");
+    doc.documentElement.innerHTML = htmlString;
+    const result = EbayParser.parseSearchResults(doc);
+    $(doc).empty();
+    doc = null;
+    return result;
+  }
+
+  /*
+   * parse the listings of a search results page
+   * - auctions are detected by the bid count or the remaining time
+   * - pages with unknown layout only return the item ids (from the item links)
+   */
+  static parseSearchResults(doc) {
+    const result = [];
+    const getText = (element, selector) => {
+      const entry = element.querySelector(selector);
+      return entry == null ? null : entry.textContent.replace(/\s+/g, ' ').trim();
+    };
+    for (const item of doc.querySelectorAll('li.s-item, .s-item__wrapper, li.s-card')) {
+      const link = item.querySelector('a[href*="/itm/"]');
+      if (link == null) continue;
+      const articleId = EbayParser.parseItemIdFromUrl(link.getAttribute('href'));
+      if (articleId == null || result.some(entry => entry.articleId === articleId)) continue;
+      const bids = getText(item, '.s-item__bids, .s-item__bidCount, .s-card__attribute-row .s-item__bids');
+      const timeLeft = getText(item, '.s-item__time-left, .s-item__time-end');
+      const image = item.querySelector('img');
+      let bidCount = null;
+      if (bids != null && /[0-9]+/.test(bids)) bidCount = Number.parseInt(bids.match(/[0-9]+/)[0], 10);
+      result.push({
+        articleId: articleId,
+        title: getText(item, '.s-item__title, .s-card__title'),
+        price: getText(item, '.s-item__price, .s-card__price'),
+        bidCount: bidCount,
+        timeLeft: timeLeft,
+        image: image == null ? null : (image.getAttribute('src') || image.getAttribute('data-src')),
+        auction: bids != null || timeLeft != null,
+      });
+    }
+    if (result.length === 0) {
+      // unknown layout, at least return the linked items
+      for (const link of doc.querySelectorAll('a[href*="/itm/"]')) {
+        const articleId = EbayParser.parseItemIdFromUrl(link.getAttribute('href'));
+        if (articleId == null || result.some(entry => entry.articleId === articleId)) continue;
+        result.push({
+          articleId: articleId,
+          title: link.textContent.replace(/\s+/g, ' ').trim(),
+          price: null,
+          bidCount: null,
+          timeLeft: null,
+          image: null,
+          auction: null,
+        });
+      }
+    }
+    return result;
+  }
+
+  // e.g. https://www.ebay.de/itm/Some-Title/123456789012?hash=... or https://www.ebay.com/itm/123456789012
+  static parseItemIdFromUrl(url) {
+    if (url == null) return null;
+    const matches = url.match(/\/itm\/(?:[^/?#]*\/)?([0-9]{9,15})(?:[/?#]|$)/);
+    return matches == null ? null : matches[1];
+  }
+
+  /*
+   * Access the bid history page of an article and return the bids
+   * [{bidder: "a***b", amount: 12.5, timestamp: 1575217753000, automatic: false}, ...]
+   */
+  static async getBidHistory(articleId, ebayPlatform = 'ebay.de') {
+    const platform = EbayPlatform.get(ebayPlatform);
+    let response = await fetch(platform.getBidHistoryUrl(articleId));
+    if (!response.ok) {
+      throw new Error(browser.i18n.getMessage('popup_ebayError', [platform.id, response.status.toString(), response.statusText]));
+    }
+    const htmlString = await response.text();
+    let doc = document.implementation.createHTMLDocument("eBay Bid History");
+    doc.documentElement.innerHTML = htmlString;
+    const result = EbayParser.parseBidHistory(doc, platform);
+    $(doc).empty();
+    doc = null;
+    return result;
+  }
+
+  /*
+   * parse the bids from the bid history table
+   * - each bid row contains the (anonymised) bidder, the amount and the time of the bid
+   * - the starting price row is skipped
+   * - automatic bids (placed by the eBay bid agent) are marked by text or css class
+   */
+  static parseBidHistory(doc, platform = null) {
+    const result = [];
+    for (const tr of doc.querySelectorAll('table tr')) {
+      const cells = tr.querySelectorAll('td');
+      if (cells.length < 3) continue;
+      const rowText = tr.textContent.replace(/\s+/g, ' ').trim();
+      if (EbayParser.bidHistoryStartingPriceRegex.test(rowText)) continue;
+      let amount = null;
+      let timestamp = null;
+      for (const cell of cells) {
+        if (amount == null && /[0-9]/.test(cell.textContent) && /[$€£]|EUR|GBP|USD/.test(cell.textContent))
+          amount = EbayParser.parsePriceString(cell, null, platform != null ? platform.locale : null).price;
+        else if (timestamp == null && /[0-9]{2}:[0-9]{2}:[0-9]{2}/.test(cell.textContent))
+          timestamp = EbayParser.parseBidTime(cell, platform);
+      }
+      if (amount == null || timestamp == null) continue;
+      // bidder, e.g. "1***2 (45)" -> "1***2"
+      const bidder = cells[0].textContent.replace(/\s+/g, ' ').replace(/\([0-9.,]+\)/, '').trim();
+      result.push({
+        bidder: bidder,
+        amount: amount,
+        timestamp: timestamp,
+        automatic: EbayParser.bidHistoryAutomaticRegex.test(rowText) || /auto/i.test(tr.className),
+      });
+    }
+    return result;
+  }
+
+  /*
+   * Convert the time of a bid to Date()
+   * the bid history uses a short format, e.g. "09.12.19 20:22:11 MEZ" (de) or "Dec-09-19 20:22:11 PST" (com)
+   * other formats are handled by parseEndTime
+   */
+  static parseBidTime(domValue, platform = null) {
+    const text = domValue.textContent.replace(/\s+/g, ' ').trim();
+    // the time zone abbreviation is optional, without it the platform time zone is used
+    let m = text.match(/([0-9]{1,2})\.([0-9]{1,2})\.([0-9]{2,4})\s+([0-9]{1,2}):([0-9]{2}):([0-9]{2})(?:\s+([A-Z]{3,4})\b)?/);
+    if (m != null) {
+      let year = parseInt(m[3], 10);
+      if (year < 100) year += 2000;
+      return ((platform != null) ? platform : EbayPlatform.get(null)).getEpoch(year, parseInt(m[2], 10) - 1,
+        parseInt(m[1], 10), parseInt(m[4], 10), parseInt(m[5], 10), parseInt(m[6], 10), m[7] || null);
+    }
+    m = text.match(/([^\s0-9-]{3,5})\.?-([0-9]{1,2})-([0-9]{2,4})\s+([0-9]{1,2}):([0-9]{2}):([0-9]{2})(?:\s+([A-Z]{3,4})\b)?/);
+    if (m != null) {
+      const platforms = (platform != null) ? [platform] : EbayPlatform.getAll();
+      for (const p of platforms) {
+        const month = p.getMonthIndex(m[1]);
+        if (month == null) continue;
+        let year = parseInt(m[3], 10);
+        if (year < 100) year += 2000;
+        return p.getEpoch(year, month, parseInt(m[2], 10),
+          parseInt(m[4], 10), parseInt(m[5], 10), parseInt(m[6], 10), m[7] || null);
+      }
+    }
+    return EbayParser.parseEndTime(domValue, platform);
+  }
+
+  /*
+   * Summary of the bid history
+   * - uniqueBidders: number of different bidders
+   * - lastMinuteBids: number of bids in the last minute before the auction end (or before now if still running)
+   * - maxProxyIncrement: the highest price increase caused by an automatic bid
+   */
+  static getBidHistorySummary(bids = [], endTime = null) {
+    const result = {
+      bidCount: bids.length,
+      uniqueBidders: new Set(bids.map(bid => bid.bidder)).size,
+      lastMinuteBids: 0,
+      maxProxyIncrement: null,
+    };
+    let referenceTime = Date.now();
+    if (endTime != null && endTime < referenceTime) referenceTime = endTime;
+    result.lastMinuteBids = bids.filter(bid => bid.timestamp <= referenceTime && referenceTime - bid.timestamp <= 60_000).length;
+    // if eBay does not mark automatic bids, all increments are considered
+    const sorted = bids.slice().sort((a, b) => a.amount - b.amount);
+    const hasAutomatic = sorted.some(bid => bid.automatic);
+    for (let i = 1; i < sorted.length; i++) {
+      if (hasAutomatic && !sorted[i].automatic) continue;
+      const increment = Math.round((sorted[i].amount - sorted[i - 1].amount) * 100) / 100;
+      if (result.maxProxyIncrement == null || increment > result.maxProxyIncrement)
+        result.maxProxyIncrement = increment;
+    }
     return result;
   }
 
-  // parse input text for 1..n eBay Item Numbers
-  // - accept comma or space separated
-  // - accept one item per line
-  static parseItemNumberFromText(text) {
-    const lines = text.split(/[\s,]+/);
+  /*
+   * parse input text for 1..n eBay Item Numbers
+   * - accept comma or space separated, or one item per line
+   * - accept item URLs of the supported eBay platforms (/itm/123, /itm/title/123, ?item=123) and ebay.us short links
+   * - accept CSV/TSV lines (separated by ";" or tab) with planned bids: itemId;maxBid;group;autoBid
+   *   e.g. "123456789012;12,50;Presents;yes" - all columns except the item are optional, header lines are skipped
+   * returns [{articleId: "123456789012", articlePlatform: "ebay.de"|null, articleMaxBid: 12.5, articleGroup: "Presents",
+   *   articleAutoBid: true}]
+   */
+  static async parseItemNumberFromText(text, locale = null) {
     const result = [];
-    for(var i = 0; i < lines.length; i++){
-      const line = lines[i];
-      let matches;
-      if (matches = line.match(/^\s*(\d+)\s*$/)) {
-        result.push(matches[1]);
+    const add = (entry) => {
+      if (entry.articleId == null || result.some(item => item.articleId === entry.articleId)) return;
+      result.push(entry);
+    };
+    for (const line of text.split(/\r?\n/)) {
+      if (line.trim() === '') continue;
+      const delimiter = line.includes('\t') ? '\t' : (line.includes(';') ? ';' : null);
+      if (delimiter != null) {
+        const fields = EbayParser.splitCsvLine(line, delimiter);
+        const reference = await EbayParser.parseItemReference(fields[0]);
+        // header line or no item in the first column
+        if (reference == null) continue;
+        add(Object.assign(EbayParser.parseItemColumns(reference.articleId, fields.slice(1), locale), reference));
+      } else {
+        for (const token of line.split(/[\s,]+/)) {
+          if (token === '') continue;
+          const reference = await EbayParser.parseItemReference(token);
+          if (reference != null) add(reference);
+        }
+      }
+    }
+    return result;
+  }
+
+  /*
+   * returns {articleId, articlePlatform} from an item number, eBay item URL or ebay.us short link
+   * - articlePlatform is the platform of the URL, null for plain item numbers (the default platform is used)
+   * - short links are resolved by following the redirect
+   * - null if the text is not a reference to an item
+   */
+  static async parseItemReference(text) {
+    if (text == null) return null;
+    text = text.trim();
+    if (/^\d+$/.test(text)) return {articleId: text, articlePlatform: null};
+    // URLs without protocol, e.g. "www.ebay.de/itm/123456789012"
+    if (!/^https?:\/\//i.test(text)) {
+      if (!/^(?:[a-z]+\.)?ebay\.[a-z.]+\//i.test(text)) return null;
+      text = 'https://' + text;
+    }
+    let url;
+    try {
+      url = new URL(text);
+    } catch (e) {
+      return null;
+    }
+    if (!EbayParser.ebayHostRegex.test(url.hostname)) return null;
+    if (/(?:^|\.)ebay\.us$/i.test(url.hostname)) return EbayParser.resolveShortLink(url.href);
+    const platform = EbayPlatform.fromUrl(url.href);
+    const articlePlatform = platform == null ? null : platform.id;
+    const articleId = EbayParser.parseItemIdFromUrl(url.pathname);
+    if (articleId != null) return {articleId: articleId, articlePlatform: articlePlatform};
+    // e.g. https://cgi.ebay.de/ws/eBayISAPI.dll?ViewItem&item=123456789012
+    for (const [key, value] of url.searchParams) {
+      if (/^item(?:id)?$/i.test(key) && /^[0-9]{9,15}$/.test(value))
+        return {articleId: value, articlePlatform: articlePlatform};
+    }
+    return null;
+  }
+
+  // follow the redirect of an ebay.us short link, returns {articleId, articlePlatform} or null
+  static async resolveShortLink(url) {
+    try {
+      const response = await fetch(url, {method: "GET", redirect: "follow"});
+      const articleId = EbayParser.parseItemIdFromUrl(new URL(response.url).pathname);
+      const platform = EbayPlatform.fromUrl(response.url);
+      if (articleId == null || platform == null) {
+        console.log("Biet-O-Matic: resolveShortLink(%s) Link does not lead to an item: %s", url, response.url);
+        return null;
+      }
+      return {articleId: articleId, articlePlatform: platform.id};
+    } catch (e) {
+      console.log("Biet-O-Matic: resolveShortLink(%s) failed: %s", url, e);
+      return null;
+    }
+  }
+
+  // split a CSV line, fields can be enclosed in double quotes (e.g. "12,50" or "My ""best"" group")
+  static splitCsvLine(line, delimiter = ';') {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (quoted) {
+        if (c === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c === '"' && field.trim() === '') {
+        quoted = true;
+        field = '';
+      } else if (c === delimiter) {
+        fields.push(field.trim());
+        field = '';
+      } else {
+        field += c;
       }
     }
+    fields.push(field.trim());
+    return fields;
+  }
+
+  // the optional columns of a CSV line: maxBid;group;autoBid
+  static parseItemColumns(articleId, columns, locale = null) {
+    const result = {articleId: articleId};
+    const [maxBid, group, autoBid] = columns;
+    if (maxBid != null && maxBid !== '') {
+      const amount = Money.parseNumber(maxBid, locale);
+      if (!Number.isNaN(amount) && amount > 0) result.articleMaxBid = amount;
+    }
+    if (group != null && group !== '') result.articleGroup = group.substring(0, 32);
+    if (autoBid != null && EbayParser.csvTrueRegex.test(autoBid)) result.articleAutoBid = true;
+    else if (autoBid != null && EbayParser.csvFalseRegex.test(autoBid)) result.articleAutoBid = false;
     return result;
   }
 
@@ -588,30 +1498,44 @@ class EbayParser {
 
 // Auction states as communicated to the overview page
 // this is used to detect auction end state - non ideal but what are the alternatives?
+// Note: the states are checked in this order, the specific states have to be checked before "ended"
 EbayParser.auctionEndStates = {
+  reserveNotMet: {
+    id: 3,
+    human: browser.i18n.getMessage('generic_reserveNotMet'),
+    strings: EbayPlatform.getAuctionEndStateStrings('reserveNotMet'),
+    // the reserve price hint is also shown while the auction is running
+    requiresEnded: true,
+  },
+  endedEarly: {
+    id: 4,
+    human: browser.i18n.getMessage('generic_endedEarly'),
+    strings: EbayPlatform.getAuctionEndStateStrings('endedEarly'),
+  },
+  removed: {
+    id: 5,
+    human: browser.i18n.getMessage('generic_removed'),
+    strings: EbayPlatform.getAuctionEndStateStrings('removed'),
+  },
+  bidCancelled: {
+    id: 6,
+    human: browser.i18n.getMessage('generic_bidCancelled'),
+    strings: EbayPlatform.getAuctionEndStateStrings('bidCancelled'),
+  },
   ended: {
     id: 0,
     human: browser.i18n.getMessage('generic_ended'),
-    strings: {
-      de: ["Dieses Angebot wurde beendet"],
-      en: ["Bidding has ended on this item"]
-    },
+    strings: EbayPlatform.getAuctionEndStateStrings('ended'),
   },
   purchased: {
     id: 1,
     human: browser.i18n.getMessage('generic_purchased'),
-    strings: {
-      de: ["Sie waren der Höchstbietende"],
-      en: ["You won this auction"]
-    }
+    strings: EbayPlatform.getAuctionEndStateStrings('purchased'),
   },
   overbid: {
     id: 2,
     human: browser.i18n.getMessage('generic_overbid'),
-    strings: {
-      de: ["Sie wurden überboten", "Sie wurden gerade überboten.", "Mindestpreis wurde noch nicht erreicht", "Sie waren nicht der Höchstbietende bei dieser Auktion."],
-      en: ["You've been outbid", "TODO456DEF", "You didn't win this auction."]
-    }
+    strings: EbayPlatform.getAuctionEndStateStrings('overbid'),
   },
   unknown: {
     id: null,
@@ -619,4 +1543,160 @@ EbayParser.auctionEndStates = {
   }
 };
 
+// number of samples for the eBay time estimation, and the interval between them (not a multiple of 1s)
+EbayParser.timeSampleCount = 6;
+EbayParser.timeSampleInterval = 1170;
+// samples with a RTT larger than this factor times the lowest RTT are ignored
+EbayParser.timeSampleMaxRttFactor = 2;
+
+// eBay hosts which are accepted for item URLs (the supported platforms, and the ebay.us short links)
+EbayParser.ebayHostRegex = new RegExp(
+  '(?:^|\\.)(?:' + Object.keys(EbayPlatform.platforms).concat('ebay.us').map(id => id.replace(/\./g, '\\.')).join('|') + ')$',
+  'i'
+);
+// the offer page redirects to the sign-in page, if the user is not signed in
+EbayParser.signInUrlRegex = /^https:\/\/signin\.ebay\./i;
+// values of the autoBid column of pasted CSV lines
+EbayParser.csvTrueRegex = /^(?:1|true|yes|y|x|on|ja|j|wahr|oui|s[iì])$/i;
+EbayParser.csvFalseRegex = /^(?:0|false|no|n|off|nein|falsch|non)$/i;
+
+// fields which are required for bidding, the popup warns if these fail for several articles
+EbayParser.criticalFields = ['articleEndTime', 'articleBidPrice', 'articleMinimumBid'];
+
+// maximum number of watch list pages (100 items each) which are imported
+EbayParser.maxWatchListPages = 20;
+
+// maximum number of variations and gallery images which are stored per article
+EbayParser.maxVariations = 50;
+EbayParser.maxImages = 12;
+
+// the "Didn't win" section of the My eBay bids/offers page
+EbayParser.didntWinSectionSelector = '#didnt-win, #DidntWin, #didntWin, [data-section="didntWin"], [data-section="DIDNT_WIN"], .didnt-win';
+
+// phrases of the My eBay bids/offers list
+EbayParser.biddingMaxBidRegex = /(?:Your max(?:imum)? bid|Ihr Maximalgebot|Mein Maximalgebot|Votre enchère maximale|La tua offerta massima)[:\s]*(.{0,8}?[0-9][0-9.,]*)/i;
+EbayParser.biddingHighBidderRegex = /(?:highest bidder|high bidder|Höchstbietende|meilleur enchérisseur|miglior offerente)/i;
+EbayParser.biddingOutbidRegex = /(?:outbid|überboten|enchère a été dépassée|offerta è stata superata)/i;
+
+// member since phrase of the seller panel, the date format is kept as shown by eBay
+EbayParser.memberSinceRegex = /(?:Mitglied seit|Member since|Joined|Membre depuis|Membro dal|Iscritto dal)[:\s]+(.+?[0-9]{4})/i;
+
+// bid history: the starting price row and the marker for automatic bids
+EbayParser.bidHistoryStartingPriceRegex = /Startpreis|Starting price|Prix de départ|Prezzo di partenza/i;
+EbayParser.bidHistoryAutomaticRegex = /Automatic|Automatisch|Automatique|Automatica/i;
+
+/*
+ * Selectors per page layout (see getLayout)
+ * - page: complete article information (parsePage)
+ * - refresh: information which changes while the auction is running (parsePageRefresh)
+ */
+EbayParser.parseProfiles = {
+  classic: {
+    page: new Map([
+      ['articleId', ['#descItemNumber']],
+      ['articleDescription', ['#itemTitle']],
+      ['articleState', ['#vi-itm-cond']],
+      ['articleEndTime', [
+        '#bb_tlft > span.vi-tm-left',  // normal running article
+        '#bb_tlft']                    // ended article
+      ],
+      ['articleBidPrice', [
+        '#prcIsum_bidPrice',           // normal running article
+        'div.vi-price-np > span',      // ended auction
+      ]],
+      ['articleBuyPrice', [
+        '#prcIsum'                     // sofortkauf
+      ]],
+      ['articlePaymentMethods', ['#payDet1']],
+      ['articleShippingCost', ['#fshippingCost']],
+      ['articleShippingMethods', ['#fShippingSvc']],
+      ['articleAuctionState', ['#msgPanel']],
+      ['articleBidCount', ['#qty-test']],
+      ['articleMinimumBid', ['#MaxBidId']],
+      ['articleImage', ['#icImg']],
+      ['articleSeller', ['#RightSummaryPanel']],
+      ['articleSpecifics', ['#viTabs_0_is .itemAttr', 'div.itemAttr']],
+      ['articleSellerFeedbackScore', ['#RightSummaryPanel .mbg-l a', '.si-content .mbg-l a']],
+      ['articleSellerPositivePercent', ['#si-fb']],
+      ['articleSellerMemberSince', ['#RightSummaryPanel .si-content', '#RightSummaryPanel']],
+      ['articleVariations', ['select.msku-sel', '#msku-sel-1']],
+      ['articleImages', ['#vi_main_img_fs', '#PicturePanel']]
+    ]),
+    refresh: new Map([
+      ['articleId', ['#descItemNumber']],
+      ['articleBidPrice', [
+        '#prcIsum_bidPrice',  // normal running article
+        '.vi-VR-cvipPrice',   // auction just ended (orig_cvip=false)
+      ]],
+      ['articleBidCount', ['#qty-test']],
+      ['articleMinimumBid', ['#MaxBidId']],
+      ['articleAuctionState', ['#msgPanel']],
+    ]),
+  },
+  x: {
+    page: new Map([
+      ['articleId', [
+        '.ux-layout-section--itemId .ux-textspans--BOLD',
+        '.ux-layout-section__textual-display--itemId .ux-textspans--BOLD',
+      ]],
+      ['articleDescription', ['.x-item-title__mainTitle .ux-textspans']],
+      ['articleState', ['.x-item-condition-text .ux-textspans', '.x-item-condition-value .ux-textspans']],
+      ['articleEndTime', ['.x-end-time', '.ux-timer']],
+      ['articleBidPrice', [
+        '.x-bid-price .x-price-primary .ux-textspans',
+        '.x-price-primary .ux-textspans',
+      ]],
+      ['articleBuyPrice', ['.x-bin-price .x-price-primary .ux-textspans']],
+      ['articlePaymentMethods', ['.ux-labels-values--payments .ux-labels-values__values-content']],
+      ['articleShippingCost', ['.ux-labels-values--shipping .ux-labels-values__values-content .ux-textspans--BOLD']],
+      ['articleShippingMethods', ['.ux-labels-values--shipping .ux-labels-values__values-content']],
+      ['articleAuctionState', ['.d-statusmessage', '.x-alert']],
+      ['articleBidCount', ['.x-bid-count .ux-textspans', '[data-testid="x-bid-count"] .ux-textspans']],
+      ['articleMinimumBid', ['.x-bid-action__description .ux-textspans']],
+      ['articleImage', ['.ux-image-carousel-item.active img', '.ux-image-carousel-item img']],
+      ['articleSeller', [
+        '.x-sellercard-atf__info__about-seller .ux-textspans--BOLD',
+        '[data-testid="x-sellercard-atf"] .ux-textspans--BOLD',
+      ]],
+      ['articleSpecifics', ['.ux-layout-section--features', '.ux-layout-section-evo--features']],
+      ['articleSellerFeedbackScore', [
+        '.x-sellercard-atf__info__about-seller .ux-textspans--SECONDARY',
+        '.x-sellercard-atf__about-seller .ux-textspans--SECONDARY',
+      ]],
+      ['articleSellerPositivePercent', ['.x-sellercard-atf__data-item .ux-textspans']],
+      ['articleSellerMemberSince', ['.x-sellercard-atf', '[data-testid="x-sellercard-atf"]']],
+      ['articleVariations', ['.x-msku-evo select', '.x-msku select']],
+      ['articleImages', ['.ux-image-filmstrip-carousel', '.ux-image-carousel']]
+    ]),
+    refresh: new Map([
+      ['articleId', [
+        '.ux-layout-section--itemId .ux-textspans--BOLD',
+        '.ux-layout-section__textual-display--itemId .ux-textspans--BOLD',
+      ]],
+      ['articleBidPrice', [
+        '.x-bid-price .x-price-primary .ux-textspans',
+        '.x-price-primary .ux-textspans',
+      ]],
+      ['articleBidCount', ['.x-bid-count .ux-textspans', '[data-testid="x-bid-count"] .ux-textspans']],
+      ['articleMinimumBid', ['.x-bid-action__description .ux-textspans']],
+      ['articleAuctionState', ['.d-statusmessage', '.x-alert']],
+    ]),
+  },
+};
+
+/*
+ * schema.org Product properties which are used when the CSS selectors fail
+ * the paths are checked in order, see getMicrodata() for the format
+ */
+EbayParser.structuredDataPaths = {
+  articleId: ['sku', 'productID', 'offers.sku'],
+  articleDescription: ['name'],
+  articleState: ['offers.itemCondition', 'itemCondition'],
+  articleEndTime: ['offers.availabilityEnds'],
+  articleBidPrice: ['offers.price', 'offers.lowPrice'],
+  articleShippingCost: ['offers.shippingDetails.shippingRate.value'],
+  articleImage: ['image', 'image.url', 'image.contentUrl'],
+  articleSeller: ['offers.seller.name', 'offers.seller.alternateName'],
+};
+
 export default EbayParser;
\ No newline at end of file
@@ -0,0 +1,410 @@
+/*
+ * EbayPlatform.js - eBay Platform Registry
+ * ===================================================
+ * - Defines the supported eBay sites (domains, currency, date format, month names, auction end state phrases)
+ * - Converts the end times shown on the page (e.g. "08. Dez. 2019 17:30:42 MEZ") to UTC epoch
+ * - Builds the URLs for items, offers, seller profiles and the watch list
+ * - Note: the host permissions and offer page matches in manifest.json have to list the same domains
+ *
+ * Apache License Version 2.0, January 2004, http://www.apache.org/licenses/
+ */
+
+class EbayPlatform {
+  constructor(id, info) {
+    this.id = id;
+    Object.assign(this, info);
+  }
+
+  // return the link for an article
+  getItemUrl(articleId) {
+    return `https://cgi.${this.id}/ws/eBayISAPI.dll?ViewItem&item=${articleId}&nordt=true&orig_cvip=true&rt=nc`;
+  }
+
+  // return the offer link for an article
+  // https://offer.ebay.de/ws/eBayISAPI.dll?MakeBid&fromPage=2047675&item=124336100157&maxbid=3,00&fb=2&bu=confirm
+  // for articles with variations (e.g. size/colour), the variation id is added as var parameter
+  getOfferUrl(articleId, maxBid, variationId = null) {
+    let url = `https://offer.${this.id}/ws/eBayISAPI.dll?MakeBid&fromPage=2047675&item=${articleId}&maxbid=${maxBid}&fb=2&bu=bid`;
+    if (variationId != null) url += `&var=${variationId}`;
+    return url;
+  }
+
+  // return the link to the seller profile, or the platform main page if the seller is unknown
+  getProfileUrl(seller = null) {
+    if (seller == null) return `https://www.${this.id}`;
+    return `https://www.${this.id}/usr/${seller}`;
+  }
+
+  // return the link to the bid history of an article
+  getBidHistoryUrl(articleId) {
+    return `https://offer.${this.id}/ws/eBayISAPI.dll?ViewBids&item=${articleId}`;
+  }
+
+  // return the link to a page of a (custom) watch list, each page contains up to 100 items
+  getWatchListUrl(listId = "WATCH_LIST", page = 1) {
+    let url = `https://www.${this.id}/myb/WatchList?custom_list_id=${encodeURIComponent(listId)}&sort=ending_soon&items_per_page=100`;
+    if (page > 1) url += `&page=${page}`;
+    return url;
+  }
+
+  // return the link to the My eBay bids/offers list (items we have bid on)
+  getBidsOffersUrl() {
+    return `https://www.${this.id}/myb/BidsOffers`;
+  }
+
+  // return the link to the My eBay purchase history (won auctions and purchases)
+  getPurchaseHistoryUrl() {
+    return `https://www.${this.id}/myb/PurchaseHistory`;
+  }
+
+  /*
+   * returns the bid increment for the given current price, according to the eBay increment table
+   * e.g. 0.50 for a price of 12.00 EUR
+   * - the table of the item currency is used, if unknown the table of the platform currency
+   */
+  getBidIncrement(price, currency = null) {
+    let table = EbayPlatform.bidIncrements[this.currency];
+    if (currency != null && EbayPlatform.bidIncrements.hasOwnProperty(currency))
+      table = EbayPlatform.bidIncrements[currency];
+    const minor = Math.round(price * 100);
+    for (const [upTo, increment] of table) {
+      if (minor <= upTo) return increment / 100;
+    }
+    return table[table.length - 1][1] / 100;
+  }
+
+  // returns the month index (0..11) for the given (abbreviated) month name, or null if unknown
+  getMonthIndex(name) {
+    if (name == null) return null;
+    const key = name.trim().replace(/\.$/, "").toLowerCase();
+    if (this.months.hasOwnProperty(key)) return this.months[key];
+    return null;
+  }
+
+  /*
+   * convert a date/time as shown on the platform to epoch milliseconds (UTC)
+   * - tz is the zone abbreviation shown by eBay (e.g. MEZ, MESZ, BST, PDT), which already includes the DST state
+   * - without (or with unknown) abbreviation, the time zone of the platform is used, which determines DST by date
+   */
+  getEpoch(year, month, day, hour, minute, second, tz = null) {
+    const wallTime = Date.UTC(year, month, day, hour, minute, second);
+    if (tz != null && EbayPlatform.timeZoneOffsets.hasOwnProperty(tz.toUpperCase()))
+      return wallTime - EbayPlatform.timeZoneOffsets[tz.toUpperCase()] * 60_000;
+    if (tz != null) console.log("Biet-O-Matic: Unknown time zone %s, using %s", tz, this.timeZone);
+    try {
+      // the offset at the wall time may differ from the offset at the result around the DST change
+      let offset = EbayPlatform.getTimeZoneOffset(wallTime, this.timeZone);
+      const offsetAtResult = EbayPlatform.getTimeZoneOffset(wallTime - offset, this.timeZone);
+      if (offsetAtResult !== offset) offset = offsetAtResult;
+      return wallTime - offset;
+    } catch (e) {
+      console.log("Biet-O-Matic: getEpoch() Cannot determine offset for time zone %s: %s", this.timeZone, e);
+      return new Date(year, month, day, hour, minute, second).valueOf();
+    }
+  }
+
+  // returns the offset (in ms) of the IANA time zone to UTC at the given epoch, e.g. +3600000 for Europe/Berlin in winter
+  static getTimeZoneOffset(epoch, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    })
+      .formatToParts(new Date(epoch))
+      .forEach((part) => (parts[part.type] = parseInt(part.value, 10)));
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    return wallTime - Math.floor(epoch / 1000) * 1000;
+  }
+
+  // returns the registered platform for the given id, or the default platform if unknown
+  static get(id) {
+    if (id != null && EbayPlatform.platforms.hasOwnProperty(id)) return EbayPlatform.platforms[id];
+    return EbayPlatform.platforms[EbayPlatform.defaultPlatform];
+  }
+
+  // returns all registered platforms
+  static getAll() {
+    return Object.values(EbayPlatform.platforms);
+  }
+
+  // returns the default platform id for a given browser language (de -> ebay.de, other -> ebay.com)
+  static getDefaultId(lang = null) {
+    for (const platform of EbayPlatform.getAll()) {
+      if (platform.defaultForLang.includes(lang)) return platform.id;
+    }
+    return "ebay.com";
+  }
+
+  /*
+   * determine the platform from an URL, e.g. https://www.ebay.co.uk/itm/123 -> ebay.co.uk
+   * returns null if the URL does not belong to a registered platform
+   */
+  static fromUrl(url) {
+    if (url == null || typeof url === "undefined") return null;
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+      return null;
+    }
+    for (const platform of EbayPlatform.getAll()) {
+      if (hostname === platform.id || hostname.endsWith("." + platform.id)) return platform;
+    }
+    return null;
+  }
+
+  // check if the URL is an eBay item page of a registered platform
+  static isItemUrl(url) {
+    const platform = EbayPlatform.fromUrl(url);
+    if (platform == null) return false;
+    return /^https:\/\/(www|cgi)\.[^/]+\/(itm|ws\/eBayISAPI\.dll\?ViewItem)/i.test(url);
+  }
+
+  // check if the URL is an eBay offer page of a registered platform
+  static isOfferUrl(url) {
+    const platform = EbayPlatform.fromUrl(url);
+    if (platform == null) return false;
+    return new URL(url).hostname.toLowerCase() === `offer.${platform.id}`;
+  }
+
+  // check if the URL is an eBay search results page (/sch/), a category page (/b/) or a seller store (/str/)
+  static isSearchUrl(url) {
+    const platform = EbayPlatform.fromUrl(url);
+    if (platform == null) return false;
+    return /^https:\/\/(www\.)?[^/]+\/(sch|str|b)\//i.test(url);
+  }
+
+  /*
+   * returns the auction end state phrases of all platforms, grouped by language
+   * e.g. {de: ["Dieses Angebot wurde beendet"], en: ["Bidding has ended on this item"]}
+   */
+  static getAuctionEndStateStrings(endState) {
+    const result = {};
+    for (const platform of EbayPlatform.getAll()) {
+      if (!platform.auctionEndStates.hasOwnProperty(endState)) continue;
+      if (!result.hasOwnProperty(platform.lang)) result[platform.lang] = [];
+      for (const message of platform.auctionEndStates[endState]) {
+        if (!result[platform.lang].includes(message)) result[platform.lang].push(message);
+      }
+    }
+    return result;
+  }
+}
+
+// month names as used in the eBay end time (lowercase, without trailing dot), abbreviated and full
+const monthsDe = {
+  jan: 0, feb: 1, mrz: 2, mär: 2, apr: 3, mai: 4, jun: 5, jul: 6, aug: 7, sep: 8, okt: 9, nov: 10, dez: 11,
+  januar: 0, februar: 1, märz: 2, april: 3, juni: 5, juli: 6, august: 7, september: 8, oktober: 9, november: 10,
+  dezember: 11,
+};
+const monthsEn = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11,
+  january: 0, february: 1, march: 2, april: 3, june: 5, july: 6, august: 7, september: 8, october: 9,
+  november: 10, december: 11,
+};
+const monthsFr = {
+  janv: 0, févr: 1, fevr: 1, mars: 2, avr: 3, mai: 4, juin: 5, juil: 6, août: 7, aout: 7, sept: 8, oct: 9, nov: 10,
+  déc: 11, dec: 11, janvier: 0, février: 1, fevrier: 1, avril: 3, juillet: 6, septembre: 8, octobre: 9,
+  novembre: 10, décembre: 11, decembre: 11,
+};
+const monthsIt = {
+  gen: 0, feb: 1, mar: 2, apr: 3, mag: 4, giu: 5, lug: 6, ago: 7, set: 8, ott: 9, nov: 10, dic: 11,
+};
+
+// end time formats, e.g. "(08. Dez. 2019 17:30:42 MEZ)", "Dec 08, 2019 17:30:42 PST" or "08 déc. 2019 17:30:42 CET"
+const dateFormatDe = /^[(]?(?<day>[0-9]{1,2})\.\s(?<month>[^\s]+?)\.?\s(?<year>[0-9]{4})\s+(?<hour>[0-9]{1,2}):(?<minute>[0-9]{2}):(?<second>[0-9]{2})\s+(?<tz>[A-Z]{3,4})[)]?$/i;
+const dateFormatUs = /^[(]?(?<month>[a-z]{3,9})\.?\s(?<day>[0-9]{1,2}),\s(?<year>[0-9]{4})\s+(?<hour>[0-9]{1,2}):(?<minute>[0-9]{2}):(?<second>[0-9]{2})\s+(?<tz>[A-Z]{3,4})[)]?$/i;
+const dateFormatDayFirst = /^[(]?(?<day>[0-9]{1,2})\s(?<month>[^\s,]+?)\.?,?\s(?<year>[0-9]{4}),?\s+(?<hour>[0-9]{1,2}):(?<minute>[0-9]{2}):(?<second>[0-9]{2})\s+(?<tz>[A-Z]{3,4})[)]?$/i;
+
+// auction end state phrases as shown in the status panel of the item page
+const auctionEndStatesDe = {
+  reserveNotMet: ["Mindestpreis wurde noch nicht erreicht", "Mindestpreis nicht erreicht"],
+  endedEarly: ["Der Verkäufer hat dieses Angebot vorzeitig beendet", "Dieses Angebot wurde vorzeitig beendet"],
+  removed: ["Dieses Angebot wurde von eBay entfernt", "Dieses Angebot wurde entfernt"],
+  bidCancelled: ["Ihr Gebot wurde gestrichen", "Ihr Gebot wurde zurückgenommen"],
+  ended: ["Dieses Angebot wurde beendet"],
+  purchased: ["Sie waren der Höchstbietende"],
+  overbid: [
+    "Sie wurden überboten",
+    "Sie wurden gerade überboten.",
+    "Sie waren nicht der Höchstbietende bei dieser Auktion.",
+  ],
+};
+const auctionEndStatesEn = {
+  reserveNotMet: ["Reserve not met", "The reserve price was not met"],
+  endedEarly: ["The seller ended this listing early", "This listing was ended early by the seller"],
+  removed: ["This listing was removed by eBay", "This listing has been removed"],
+  bidCancelled: ["Your bid was cancelled", "Your bid was retracted"],
+  ended: ["Bidding has ended on this item"],
+  purchased: ["You won this auction"],
+  overbid: ["You've been outbid", "You didn't win this auction."],
+};
+
+/*
+ * eBay bid increment tables per currency, in minor units (cents)
+ * [price up to (inclusive), increment], e.g. up to 4.99 EUR the increment is 0.25 EUR
+ */
+const bidIncrementsEur = [
+  [99, 5],
+  [499, 25],
+  [1499, 50],
+  [4999, 100],
+  [49999, 500],
+  [99999, 1000],
+  [499999, 5000],
+  [Infinity, 10000],
+];
+const bidIncrementsUsd = [
+  [99, 5],
+  [499, 25],
+  [2499, 50],
+  [9999, 100],
+  [24999, 250],
+  [49999, 500],
+  [99999, 1000],
+  [249999, 2500],
+  [499999, 5000],
+  [Infinity, 10000],
+];
+const bidIncrementsGbp = [
+  [100, 5],
+  [500, 20],
+  [1500, 50],
+  [6000, 100],
+  [15000, 200],
+  [30000, 500],
+  [60000, 1000],
+  [150000, 2000],
+  [300000, 5000],
+  [Infinity, 10000],
+];
+
+/*
+ * The supported eBay platforms, the key is the platform id (which is also the domain without host)
+ * - defaultForLang: browser languages which should use this platform by default
+ */
+EbayPlatform.platforms = {
+  "ebay.de": new EbayPlatform("ebay.de", {
+    name: "eBay Deutschland",
+    lang: "de",
+    locale: "de-DE",
+    currency: "EUR",
+    timeZone: "Europe/Berlin",
+    defaultForLang: ["de"],
+    dateFormat: dateFormatDe,
+    months: monthsDe,
+    auctionEndStates: auctionEndStatesDe,
+  }),
+  "ebay.at": new EbayPlatform("ebay.at", {
+    name: "eBay Österreich",
+    lang: "de",
+    locale: "de-AT",
+    currency: "EUR",
+    timeZone: "Europe/Vienna",
+    defaultForLang: [],
+    dateFormat: dateFormatDe,
+    months: monthsDe,
+    auctionEndStates: auctionEndStatesDe,
+  }),
+  "ebay.com": new EbayPlatform("ebay.com", {
+    name: "eBay USA",
+    lang: "en",
+    locale: "en-US",
+    currency: "USD",
+    timeZone: "America/Los_Angeles",
+    defaultForLang: ["en"],
+    dateFormat: dateFormatUs,
+    months: monthsEn,
+    auctionEndStates: auctionEndStatesEn,
+  }),
+  "ebay.co.uk": new EbayPlatform("ebay.co.uk", {
+    name: "eBay UK",
+    lang: "en",
+    locale: "en-GB",
+    currency: "GBP",
+    timeZone: "Europe/London",
+    defaultForLang: [],
+    dateFormat: dateFormatDayFirst,
+    months: monthsEn,
+    auctionEndStates: {
+      reserveNotMet: auctionEndStatesEn.reserveNotMet,
+      endedEarly: auctionEndStatesEn.endedEarly,
+      removed: auctionEndStatesEn.removed,
+      bidCancelled: auctionEndStatesEn.bidCancelled,
+      ended: ["Bidding has ended on this item", "This listing has ended"],
+      purchased: ["You won this auction", "You won this item"],
+      overbid: ["You've been outbid", "You didn't win this auction.", "You didn't win this item"],
+    },
+  }),
+  "ebay.fr": new EbayPlatform("ebay.fr", {
+    name: "eBay France",
+    lang: "fr",
+    locale: "fr-FR",
+    currency: "EUR",
+    timeZone: "Europe/Paris",
+    defaultForLang: ["fr"],
+    dateFormat: dateFormatDayFirst,
+    months: monthsFr,
+    auctionEndStates: {
+      reserveNotMet: ["Prix de réserve non atteint"],
+      endedEarly: ["Le vendeur a mis fin à cette annonce prématurément"],
+      removed: ["Cette annonce a été supprimée par eBay"],
+      bidCancelled: ["Votre enchère a été annulée"],
+      ended: ["Les enchères sont terminées pour cet objet", "Cette annonce est terminée"],
+      purchased: ["Vous avez remporté cette enchère", "Vous avez remporté cet objet"],
+      overbid: ["Votre offre a été dépassée", "Vous n'avez pas remporté cette enchère"],
+    },
+  }),
+  "ebay.it": new EbayPlatform("ebay.it", {
+    name: "eBay Italia",
+    lang: "it",
+    locale: "it-IT",
+    currency: "EUR",
+    timeZone: "Europe/Rome",
+    defaultForLang: ["it"],
+    dateFormat: dateFormatDayFirst,
+    months: monthsIt,
+    auctionEndStates: {
+      reserveNotMet: ["Prezzo di riserva non raggiunto"],
+      endedEarly: ["Il venditore ha chiuso l'inserzione in anticipo"],
+      removed: ["L'inserzione è stata rimossa da eBay"],
+      bidCancelled: ["La tua offerta è stata annullata"],
+      ended: ["L'asta su questo oggetto è terminata", "L'inserzione è terminata"],
+      purchased: ["Ti sei aggiudicato questo oggetto", "Hai vinto questa asta"],
+      overbid: ["La tua offerta è stata superata", "Non ti sei aggiudicato questo oggetto"],
+    },
+  }),
+};
+
+/*
+ * time zone abbreviations as shown by eBay with their offset to UTC in minutes
+ * - eBay shows the abbreviation in the language of the platform (MEZ/MESZ on ebay.de, CET/CEST elsewhere)
+ * - ebay.com shows Pacific time (PST/PDT)
+ */
+EbayPlatform.timeZoneOffsets = {
+  UTC: 0, GMT: 0, WEZ: 0, WET: 0, BST: 60, WESZ: 60, WEST: 60,
+  MEZ: 60, CET: 60, MESZ: 120, CEST: 120, HNEC: 60, HAEC: 120,
+  OEZ: 120, EET: 120, OESZ: 180, EEST: 180,
+  HST: -600, AKST: -540, AKDT: -480, PST: -480, PDT: -420, MST: -420, MDT: -360,
+  CST: -360, CDT: -300, EST: -300, EDT: -240,
+};
+
+// used when the platform cannot be determined, e.g. for items stored before the platform was recorded
+EbayPlatform.defaultPlatform = "ebay.de";
+
+// bid increment tables by currency (AUD and CAD use the same steps as USD)
+EbayPlatform.bidIncrements = {
+  EUR: bidIncrementsEur,
+  USD: bidIncrementsUsd,
+  AUD: bidIncrementsUsd,
+  CAD: bidIncrementsUsd,
+  GBP: bidIncrementsGbp,
+};
+
+export default EbayPlatform;
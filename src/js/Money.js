@@ -0,0 +1,184 @@
+/*
+ * Money.js - Amount of money in integer minor units
+ * ===================================================
+ * - Parses prices as shown by eBay, e.g. "US $1,100.00", "EUR 1.100,00" or "GBP 26.00"
+ * - Amounts are kept in minor units (cents), to prevent floating point rounding issues
+ * - Formats amounts for the user locale
+ *
+ * Apache License Version 2.0, January 2004, http://www.apache.org/licenses/
+ */
+
+class Money {
+  constructor(minor, currency = null) {
+    this.minor = Math.round(minor);
+    this.currency = currency;
+  }
+
+  // create from a decimal number, e.g. 12.5 -> 1250 minor units
+  static fromNumber(amount, currency = null) {
+    if (amount == null || Number.isNaN(Number(amount))) return null;
+    return new Money(Math.round(Number(amount) * 100), currency);
+  }
+
+  /*
+   * Parse a price text, returns Money or null if no amount was found
+   * - the currency is determined from the code or symbol in the text (US $ -> USD, € -> EUR)
+   * - the decimal separator is determined from the text, for ambiguous input (e.g. "1.100") the locale decides
+   */
+  static parse(text, locale = null, currency = null) {
+    if (text == null) return null;
+    if (typeof text === "number") return Money.fromNumber(text, currency);
+    text = text.toString().replace(/\s+/g, " ").trim();
+    if (currency == null) currency = Money.parseCurrency(text);
+    const matches = text.match(Money.numberRegex);
+    if (matches == null) return null;
+    let number = matches[0].trim().replace(/['\s  ]/g, "");
+    const decimalSeparator = Money.getDecimalSeparator(number, locale);
+    const negative = number.startsWith("-");
+    number = number.replace(/^-/, "");
+    let integerPart = number;
+    let fractionPart = "";
+    if (decimalSeparator != null) {
+      const index = number.lastIndexOf(decimalSeparator);
+      integerPart = number.substring(0, index);
+      fractionPart = number.substring(index + 1);
+    }
+    integerPart = integerPart.replace(/[.,]/g, "");
+    if (integerPart === "") integerPart = "0";
+    fractionPart = (fractionPart + "00").substring(0, 2);
+    const minor = Number.parseInt(integerPart, 10) * 100 + Number.parseInt(fractionPart, 10);
+    if (Number.isNaN(minor)) return null;
+    return new Money(negative ? -minor : minor, currency);
+  }
+
+  /*
+   * determine which character ("." or ",") is the decimal separator, null if the number has no fraction
+   * e.g. "1,100.00" -> ".", "1.100,00" -> ",", "26.5" -> ".", "1.100" -> null (de) or "." (en-US)
+   * - exactly three digits after a single separator are ambiguous, they are only a thousands separator
+   *   if the locale uses the other decimal separator and the integer part is not 0
+   *   e.g. "0.125" -> ".", "0,125" -> ",", "1.005" -> "." (without locale or en-US), "1.005" -> null (de)
+   */
+  static getDecimalSeparator(number, locale = null) {
+    const lastDot = number.lastIndexOf(".");
+    const lastComma = number.lastIndexOf(",");
+    if (lastDot < 0 && lastComma < 0) return null;
+    // both present: the last one is the decimal separator
+    if (lastDot >= 0 && lastComma >= 0) return lastDot > lastComma ? "." : ",";
+    const separator = lastDot >= 0 ? "." : ",";
+    // used multiple times: thousands separator
+    if (number.indexOf(separator) !== number.lastIndexOf(separator)) return null;
+    const digitsAfter = number.length - number.lastIndexOf(separator) - 1;
+    if (digitsAfter !== 3) return separator;
+    // ambiguous, e.g. "1.100" - use the locale
+    const integerPart = number.substring(0, number.lastIndexOf(separator)).replace(/^-/, "");
+    if (integerPart === "" || integerPart === "0" || locale == null) return separator;
+    if (Money.getLocaleDecimalSeparator(locale) === separator) return separator;
+    return null;
+  }
+
+  static getLocaleDecimalSeparator(locale) {
+    try {
+      const part = new Intl.NumberFormat(locale).formatToParts(1.1).find((p) => p.type === "decimal");
+      return typeof part === "undefined" ? "." : part.value;
+    } catch (e) {
+      return ".";
+    }
+  }
+
+  /*
+   * determine the ISO currency code from the price text
+   * - the first currency in the text is used, e.g. "US $10.00 (ca. EUR 9,20)" -> USD
+   */
+  static parseCurrency(text) {
+    let result = null;
+    let resultIndex = -1;
+    for (const [regex, code] of Money.currencySymbols) {
+      const matches = regex.exec(text);
+      if (matches == null) continue;
+      if (result == null || matches.index < resultIndex) {
+        result = code;
+        resultIndex = matches.index;
+      }
+    }
+    return result;
+  }
+
+  /*
+   * Parse user input (e.g. maximum bid) to a number, returns NaN if not parsable
+   * accepts numbers and strings like "1,50", "1.50" or "1.100,50"
+   */
+  static parseNumber(value, locale = null) {
+    if (typeof value === "number") return value;
+    const money = Money.parse(value, locale);
+    if (money == null) return Number.NaN;
+    return money.toNumber();
+  }
+
+  /*
+   * round up to an uncommon amount, which beats other bidders' round-number maximum bids
+   * e.g. 25.00 -> 25.17, 25.50 -> 25.67 - amounts which already have uncommon cents (e.g. 25.13) are kept
+   */
+  toOddCents() {
+    if (this.minor % 5 !== 0) return this;
+    return new Money(this.minor + Money.oddCents, this.currency);
+  }
+
+  toNumber() {
+    return this.minor / 100;
+  }
+
+  add(other) {
+    return new Money(this.minor + other.minor, this.currency || other.currency);
+  }
+
+  subtract(other) {
+    return new Money(this.minor - other.minor, this.currency || other.currency);
+  }
+
+  compare(other) {
+    return this.minor - other.minor;
+  }
+
+  // format for the given locale, e.g. "1.100,00 €" (de) or "US$1,100.00" (en)
+  format(locale = undefined) {
+    try {
+      if (this.currency != null)
+        return new Intl.NumberFormat(locale, { style: "currency", currency: this.currency }).format(this.toNumber());
+    } catch (e) {
+      console.log("Biet-O-Matic: Money.format() Unsupported currency %s: %s", this.currency, e);
+    }
+    return this.toInputString(locale);
+  }
+
+  // format without currency and grouping, as used for input fields, e.g. "1100,00" (de)
+  toInputString(locale = undefined) {
+    return this.toNumber().toLocaleString(locale, {
+      useGrouping: false,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+  }
+
+  toString() {
+    return this.format();
+  }
+}
+
+// cents added by toOddCents()
+Money.oddCents = 17;
+
+// currency codes and symbols as shown by eBay, for the same position the first entry wins
+Money.currencySymbols = [
+  [/\bEUR\b|€/, "EUR"],
+  [/\bGBP\b|£/, "GBP"],
+  [/\bCHF\b/, "CHF"],
+  [/\bAU\s?\$|\bAUD\b/, "AUD"],
+  [/\bC\s?\$|\bCAD\b/, "CAD"],
+  [/\bUSD\b|\$/, "USD"],
+];
+
+// a space is only accepted as thousands separator (followed by exactly 3 digits), e.g. "1 100,00"
+// - otherwise following numbers would be joined, e.g. "5,00 2 Gebote" -> 5,002
+Money.numberRegex = /-?[0-9]{1,3}(?:[   ][0-9]{3}(?![0-9]))+(?:[.,][0-9]+)?|-?[0-9][0-9.,']*/;
+
+export default Money;
@@ -117,7 +117,8 @@ class BomBackground {
         const params = {};
         params.pinned = true;
         // do not activate BOM overview tab if the current tab is an ebay tab - this could cause confusion
-        if (tab.url.startsWith(browser.runtime.getURL("")) === false && /^https?:\/\/.*\.ebay\.(de|com)\/itm/.test(tab.url) === false) {
+        // note: the platforms have to match EbayPlatform.js (background script is not bundled)
+        if (tab.url.startsWith(browser.runtime.getURL("")) === false && /^https?:\/\/.*\.ebay\.(de|com|co\.uk|at|fr|it)\/itm/.test(tab.url) === false) {
           params.highlighted = true;
           params.active = true;
         }
@@ -12,6 +12,8 @@
 
 import browser from "webextension-polyfill";
 import EbayParser from "./EbayParser.js";
+import EbayPlatform from "./EbayPlatform.js";
+import Money from "./Money.js";
 import BomStorage from "./BomStorage.js";
 import "../css/contentScript.css";
 
@@ -95,7 +97,10 @@ class EbayArticle {
    * - option to define bid
    */
   extendPage() {
-    const bidButton = document.getElementById("bidBtn_btn");
+    // the redesigned page (x layout) has a container with the bid button(s)
+    let bidButton;
+    if (this.articleLayout === "x") bidButton = document.querySelector(".x-bid-action, [data-testid='x-bid-action']");
+    else bidButton = document.getElementById("bidBtn_btn");
     if (bidButton == null || typeof bidButton === "undefined") {
       // this is expected to happen: e.g. finished auctions
       console.log("Biet-O-Matic: Do not extend page, no bid button found.");
@@ -167,6 +172,12 @@ class EbayArticle {
     this.activateAutoBidButton();
   }
 
+  // the number format of the bid input follows the eBay platform (e.g. 1,50 on ebay.de)
+  getLocale() {
+    const platform = EbayPlatform.fromUrl(window.location.href);
+    return platform != null ? platform.locale : undefined;
+  }
+
   /*
    * set new MaxBidInput value and autoBid checked status
    */
@@ -176,23 +187,21 @@ class EbayArticle {
     // id=BomAutoBid defined by us
     const autoBidInput = document.getElementById("BomAutoBid");
 
-    if (maxBidInput != null) {
+    // the redesigned page (x layout) only shows the bid input in the bid dialog
+    if (maxBidInput != null || this.articleLayout === "x") {
       if (storageInfo.articleMaxBid != null) {
         try {
           if (typeof storageInfo.articleMaxBid === "string")
-            storageInfo.articleMaxBid = Number.parseFloat(storageInfo.articleMaxBid.toString());
-          maxBidInput.value = storageInfo.articleMaxBid.toLocaleString(undefined, {
-            useGrouping: false,
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2,
-          });
+            storageInfo.articleMaxBid = Money.parseNumber(storageInfo.articleMaxBid, this.getLocale());
+          if (maxBidInput == null) this.articleMaxBid = storageInfo.articleMaxBid;
+          else maxBidInput.value = Money.fromNumber(storageInfo.articleMaxBid).toInputString(this.getLocale());
         } catch (e) {
           console.warn(
             "Biet-O-Matic: updateMaxBidInfo() Failed to parse, info.articleMaxBid=%s (%s)",
             storageInfo.articleMaxBid,
             typeof storageInfo.articleMaxBid
           );
-          maxBidInput.value = storageInfo.articleMaxBid.toString();
+          if (maxBidInput != null) maxBidInput.value = storageInfo.articleMaxBid.toString();
         }
       } else {
         storageInfo.articleMaxBid = this.articleMaxBid;
@@ -223,10 +232,9 @@ class EbayArticle {
     if (minBidValue == null && this.hasOwnProperty("articleMinimumBid")) {
       minBidValue = this.articleMinimumBid;
     }
-    // convert maxBidValue to float if needed
+    // convert maxBidValue to number if needed
     if (typeof maxBidValue === "string") {
-      maxBidValue = maxBidValue.replace(/,/, ".");
-      maxBidValue = Number.parseFloat(maxBidValue);
+      maxBidValue = Money.parseNumber(maxBidValue, this.getLocale());
     }
     console.debug(
       "Biet-O-Matic: activateAutoBidButton() maxBidValue=%s (%s), minBidValue=%s (%s)",
@@ -260,28 +268,28 @@ class EbayArticle {
    */
   async monitorChanges() {
     const maxBidInput = await EbayArticle.waitFor("#MaxBidId", 2000).catch(() => {
+      // the redesigned page (x layout) only shows the bid input in the bid dialog
+      if (this.articleLayout === "x") return null;
       throw new Error("monitorChanges() cannot find MaxBidInput button, aborting");
     });
     const bomAutoBid = await EbayArticle.waitFor("#BomAutoBid", 2000).catch(() => {
       throw new Error("monitorChanges() cannot find BomAutoBid button, aborting");
     });
     // max bid input changed?
-    if (maxBidInput == null) {
-      return;
-    } else {
+    if (maxBidInput != null) {
       maxBidInput.addEventListener("change", () => {
         const maxBidInputNew = document.getElementById("MaxBidId");
         const bomAutoBidNew = document.getElementById("BomAutoBid");
         if (maxBidInputNew != null) {
-          // replace , with .
-          let maxBidInputValue = Number.parseFloat(maxBidInputNew.value.replace(/,/, "."));
+          // parse with the number format of the platform (e.g. 1.100,50 on ebay.de)
+          let maxBidInputValue = Money.parseNumber(maxBidInputNew.value, this.getLocale());
           if (Number.isNaN(maxBidInputValue)) maxBidInputValue = 0;
           this.articleMaxBid = maxBidInputValue;
           // update minimum bid
           let minBidValue = null;
           if (maxBidInputNew.getAttribute("aria-label") != null) {
             minBidValue = maxBidInputNew.getAttribute("aria-label").replace(/\n/g, "").replace(/\s+/g, " ");
-            minBidValue = EbayParser.parsePriceString(minBidValue).price;
+            minBidValue = EbayParser.parsePriceString(minBidValue, null, this.getLocale()).price;
             this.articleMinimumBid = minBidValue;
           }
           // check if bid > buy-now price (sofortkauf), then we update the maxBid with buyPrice
@@ -292,20 +300,13 @@ class EbayArticle {
               this.articleBuyPrice
             );
             // set to 1 cent less, to prevent unfriendly redirection by eBay
-            maxBidInputValue = Number.parseFloat(this.articleBuyPrice.toString()) - 0.01;
-            maxBidInputNew.value = maxBidInputValue.toLocaleString(undefined, {
-              useGrouping: false,
-              minimumFractionDigits: 2,
-              maximumFractionDigits: 2,
-            });
+            const maxBidMoney = Money.fromNumber(this.articleBuyPrice).subtract(new Money(1));
+            maxBidInputValue = maxBidMoney.toNumber();
+            maxBidInputNew.value = maxBidMoney.toInputString(this.getLocale());
             this.articleMaxBid = maxBidInputValue;
           } else {
             if (!Number.isNaN(maxBidInputValue)) {
-              maxBidInputNew.value = maxBidInputValue.toLocaleString(undefined, {
-                useGrouping: false,
-                minimumFractionDigits: 2,
-                maximumFractionDigits: 2,
-              });
+              maxBidInputNew.value = Money.fromNumber(maxBidInputValue).toInputString(this.getLocale());
             }
           }
           this.activateAutoBidButton(maxBidInputValue, minBidValue);
@@ -338,9 +339,10 @@ class EbayArticle {
         const bomAutoBidNew = document.getElementById("BomAutoBid");
         const bomAutoBidHint = document.getElementById("BomAutoBidHint");
         if (bomAutoBidNew != null) {
-          // replace , with .
-          let maxBidInputValue = Number.parseFloat(maxBidInputNew.value.replace(/,/, "."));
-          if (Number.isNaN(maxBidInputValue)) maxBidInputValue = 0;
+          // without bid input, the stored maxBid is used
+          let maxBidInputValue = this.articleMaxBid;
+          if (maxBidInputNew != null) maxBidInputValue = Money.parseNumber(maxBidInputNew.value, this.getLocale());
+          if (maxBidInputValue == null || Number.isNaN(maxBidInputValue)) maxBidInputValue = 0;
           this.articleMaxBid = maxBidInputValue;
           if (bomAutoBidNew.checked) {
             // show autoBid hint if autoBid enabled
@@ -377,7 +379,9 @@ class EbayArticle {
      */
     // article current price
     // Note: the itemprop=price content is not refreshed, only the text!
-    const articleBidPrice = document.getElementById("prcIsum_bidPrice");
+    let articleBidPrice;
+    if (this.articleLayout === "x") articleBidPrice = document.querySelector(".x-bid-price .x-price-primary");
+    else articleBidPrice = document.getElementById("prcIsum_bidPrice");
     if (articleBidPrice != null) {
       const observer = new MutationObserver((mutations) => {
         mutations.forEach((mutation) => {
@@ -424,6 +428,8 @@ class EbayArticle {
       });
       observer.observe(articleBidPrice, {
         childList: true,
+        // the redesigned page replaces the nested text spans
+        subtree: this.articleLayout === "x",
       });
     }
   }
@@ -487,10 +493,19 @@ class EbayArticle {
       console.debug("Biet-O-Matic: handleReload() Aborting, no articleId found: %s", JSON.stringify(ebayArticleInfo));
       return ebayArticleInfo;
     }
-    // determine auction state - if any yet
-    const currentState = EbayParser.getAuctionEndState(ebayArticleInfo);
     // info from sync storage
     const articleStoredInfo = await window.bomStorage.get(ebayArticleInfo.articleId);
+    // the refresh does not parse the end time, some end states are only determined after the auction ended
+    if (
+      ebayArticleInfo.articleEndTime == null &&
+      articleStoredInfo != null &&
+      typeof articleStoredInfo !== "undefined" &&
+      articleStoredInfo.hasOwnProperty(ebayArticleInfo.articleId)
+    ) {
+      ebayArticleInfo.articleEndTime = articleStoredInfo[ebayArticleInfo.articleId].articleEndTime;
+    }
+    // determine auction state - if any yet
+    const currentState = EbayParser.getAuctionEndState(ebayArticleInfo);
 
     /*
      * Retrieve stored article info from popup
@@ -8,6 +8,9 @@
  */
 
 import browser from "webextension-polyfill";
+import Money from "./Money.js";
+import BidPrecheck from "./BidPrecheck.js";
+import BidRetry from "./BidRetry.js";
 
 class EbayOffer {
   constructor() {
@@ -15,6 +18,10 @@ class EbayOffer {
     this.articleMaxBid = null;
     this.articleEndTime = null;
     this.bidTime = 5;
+    // offset of the system clock vs. eBay time in ms (positive: system clock is ahead)
+    this.clockOffset = 0;
+    // submit attempt, > 1 if the bid is retried (see BidRetry.js)
+    this.bidAttempt = 1;
     this.perfInfo = [];
   }
 
@@ -37,7 +44,11 @@ class EbayOffer {
     // determine info from URL
     let url = new URL(window.location.href);
     info.articleId = url.searchParams.get("item");
+    // the maxbid parameter is a plain number (e.g. 1100.5), but older links used a comma (e.g. 3,00)
     info.articleMaxBid = url.searchParams.get("maxbid");
+    if (info.articleMaxBid != null) info.articleMaxBid = Money.parseNumber(info.articleMaxBid, "en-US");
+    // selected variation (e.g. size/colour), only for articles with variations
+    info.articleVariationId = url.searchParams.get("var");
     info.articleEndTime = null;
     // modified bid time (bid collision prevention)
     info.modifiedEndTime = null; 
@@ -62,6 +73,13 @@ class EbayOffer {
       }).catch((e) => {
         console.warn("Biet-O-Matic: sendMessage(ebayArticleUpdated) failed: " + e);
       });
+      // eBay rejected the bid as too low, retry if the popup agrees
+      if (BidRetry.isBidTooLow(status.textContent)) {
+        if (await EbayOffer.retryBid(info.articleId, status.textContent.replace(/\s+/g, " ").trim())) {
+          throw new Error("Bid rejected by eBay, retrying.");
+        }
+      }
+      BidRetry.setAttempt(info.articleId, null);
       throw new Error("Parsing page information failed: articleId is null");
     }
 
@@ -74,11 +92,32 @@ class EbayOffer {
       throw new Error(`Init offer page failed: Popup did not have any info for article ${info.articleId}`);
     }
     info.articleEndTime = result.data.articleEndTime;
+    // the page could have been reloaded to retry a failed bid
+    info.bidAttempt = BidRetry.getAttempt(info.articleId);
 
     if (Date.now() > info.articleEndTime) {
       throw new Error("Stopping execution on this page, article end time is in the past.");
     }
 
+    // ensure the bid is placed for the variation which was selected in the overview page
+    if (result.data.articleHasVariations) {
+      if (result.data.articleVariationId == null) {
+        throw new Error(EbayOffer.getTranslation('cs_variationNotSelected',
+          '.No variation selected for this item, bidding is not possible.'));
+      }
+      if (info.articleVariationId !== result.data.articleVariationId) {
+        throw new Error(EbayOffer.getTranslation('cs_variationMismatch',
+          '.The variation of the offer page ($1) does not match the selected variation ($2).',
+          [info.articleVariationId, result.data.articleVariationLabel]));
+      }
+      EbayOffer.sendArticleLog(info.articleId, {
+        component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
+        level: "Info",
+        message: EbayOffer.getTranslation('cs_variationSelected', '.Bidding on variation $1',
+          [result.data.articleVariationLabel])
+      });
+    }
+
     // our tab id is available through the browser event, if our and their tabId is different, it means the tab is open in another window/tab
     // check if the same article is already handled by another tab
     if (result.hasOwnProperty('data') && result.data.offerTabId != null && result.tabId !== result.data.offerTabId) {
@@ -100,6 +139,31 @@ class EbayOffer {
         message: `Unable to determine bidTime from storage - using default (${info.bidTime}s): ${e.message}`
       });
     }
+    // adaptive bid time, determined by the popup from the measured timings of previous bids
+    if (Number.isInteger(result.data.adaptiveBidTime) && result.data.adaptiveBidTime > 0) {
+      info.bidTime = result.data.adaptiveBidTime;
+      console.debug("Biet-O-Matic: Set bidTime to %s seconds from measured bid timings.", info.bidTime);
+      EbayOffer.sendArticleLog(info.articleId, {
+        component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
+        level: "Info",
+        message: EbayOffer.getTranslation('cs_bidTimeAdaptive', '.Using the adaptive bid time: $1s',
+          [info.bidTime.toString()])
+      });
+    }
+    // bid time override of the article or its group (set in the overview page)
+    if (Number.isInteger(result.data.articleBidTime) && result.data.articleBidTime > 0) {
+      info.bidTime = result.data.articleBidTime;
+      console.debug("Biet-O-Matic: Set bidTime to %s seconds from article/group.", info.bidTime);
+      EbayOffer.sendArticleLog(info.articleId, {
+        component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
+        level: "Info",
+        message: EbayOffer.getTranslation('cs_bidTimeOverride', '.Using the bid time of the item or group: $1s',
+          [info.bidTime.toString()])
+      });
+    }
+
+    // determine the clock offset measured by the popup, it is compensated when scheduling the bid
+    info.clockOffset = await EbayOffer.getClockOffset(info.articleId);
 
     // contact popup to check if we should perform the bid earlier (multiple articles could end at the same time)
     info.modifiedEndTime = info.articleEndTime;
@@ -162,7 +226,7 @@ class EbayOffer {
         return;
       }
       // update countdown
-      const timeLeftInSeconds = Math.round((this.modifiedEndTime - Date.now()) / 1000);
+      const timeLeftInSeconds = Math.round((this.getLocalEndTime() - Date.now()) / 1000);
       const bidTimeSeconds = timeLeftInSeconds - this.bidTime;
       if (bidTimeSeconds > 0) {
         confirmButton[0].value = EbayOffer.getTranslation('cs_bidInSeconds', '.Automatic bidding in $1s', [bidTimeSeconds]);
@@ -188,7 +252,7 @@ class EbayOffer {
   // schedule the confirmation at proper time
   scheduleConfirmAction() {
     this.storePerfInfo(EbayOffer.getTranslation('cs_phase2', '.Waiting for bid'));
-    const timeToBid = this.modifiedEndTime - Date.now() - (this.bidTime * 1000)
+    const timeToBid = this.getLocalEndTime() - Date.now() - (this.bidTime * 1000)
     window.setTimeout((expectedExecutionTime) => {
       this.confirmBid(expectedExecutionTime)
         .catch(e => {
@@ -198,6 +262,48 @@ class EbayOffer {
     }, timeToBid, Date.now() + timeToBid);
   }
 
+  // the (modified) end time in system clock time, i.e. corrected by the clock offset
+  getLocalEndTime() {
+    return this.modifiedEndTime + this.clockOffset;
+  }
+
+  /*
+   * Determine the clock offset which was measured by the popup
+   * - only recent measurements are used, the clock could have been adjusted meanwhile
+   * - implausible large offsets are not compensated (the popup warns about those)
+   */
+  static async getClockOffset(articleId) {
+    try {
+      const result = await browser.storage.local.get("clockOffset");
+      if (!result.hasOwnProperty("clockOffset") || result.clockOffset == null) return 0;
+      const estimate = result.clockOffset;
+      if (Date.now() - estimate.timestamp > EbayOffer.clockOffsetMaxAge) {
+        console.debug("Biet-O-Matic: getClockOffset() Ignoring outdated clock offset from %s", new Date(estimate.timestamp));
+        return 0;
+      }
+      if (Math.abs(estimate.offset) > EbayOffer.clockOffsetMax) {
+        throw new Error(`Clock offset too large (${estimate.offset}ms), not compensated.`);
+      }
+      if (estimate.offset !== 0) {
+        EbayOffer.sendArticleLog(articleId, {
+          component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
+          level: "Info",
+          message: EbayOffer.getTranslation('cs_clockOffset', '.Compensating clock offset of $1ms (+/- $2ms)',
+            [estimate.offset, estimate.accuracy])
+        });
+      }
+      return estimate.offset;
+    } catch (e) {
+      console.info("Biet-O-Matic: getClockOffset() Unable to determine clock offset: " + e.message);
+      EbayOffer.sendArticleLog(articleId, {
+        component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
+        level: "Warning",
+        message: `Unable to determine clock offset: ${e.message}`
+      });
+      return 0;
+    }
+  }
+
   // confirm the bid after performing pre-checks
   // - this function will be called at the bidTime
   // - we have to check if the autoBid is still active (single purchase group)
@@ -221,79 +327,34 @@ class EbayOffer {
 
     // check window/group autoBid status
     let autoBidInfo = await browser.runtime.sendMessage({action: 'getAutoBidState', articleId: this.articleId});
-    if (autoBidInfo == null || typeof autoBidInfo === 'undefined' || !autoBidInfo.hasOwnProperty('autoBidEnabled') ) {
-      throw {
-        component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
-        level: EbayOffer.getTranslation('generic_internalError', '.Internal Error'),
-        message: EbayOffer.getTranslation('cs_couldNotCheckAutoBidEnabledOption',
-          '.Could not check autoBidEnabled Option.')
-      };
-    }
-    // ensure Window autoBid is enabled
-    if (autoBidInfo.autoBidEnabled === false) {
-      console.debug("Biet-O-Matic: doBid() abort, Window autoBid is off");
-      throw {
-        component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
-        level: EbayOffer.getTranslation('generic_cancel', '.Cancel'),
-        message: EbayOffer.getTranslation('cs_autobidInactiveForWindow',
-          '.Auto-bid is inactive for this window')
-      };
-    }
-    // ensure Group autoBid is enabled
-    if (autoBidInfo.groupAutoBid === false) {
-      console.debug("Biet-O-Matic: doBid() abort, Group %s autoBid is off", autoBidInfo.groupName);
-      throw {
-        component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
-        level: EbayOffer.getTranslation('generic_cancel', '.Cancel'),
-        message: EbayOffer.getTranslation('cs_autobidInactiveForGroup',
-          '.Auto-bid is inactive for group $1', autoBidInfo.groupName)
-      };
-    }
-    // ensure Article autoBid is checked
-    if (autoBidInfo.articleAutoBid === false) {
-      console.debug("Biet-O-Matic: doBid() abort, Article autoBid is off");
-      throw {
-        component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
-        level: EbayOffer.getTranslation('generic_cancel', '.Cancel'),
-        message: EbayOffer.getTranslation('cs_autobidInactiveForArticle',
-          '.Auto-bid is inactive for this article.')
-      };
-    }
-    let simulate = false;
-    if (autoBidInfo.simulation) {
-      console.debug("Biet-O-Matic: Enable simulated bidding.");
-      simulate = true;
-    }
+    const simulate = BidPrecheck.verifyAutoBidState(autoBidInfo, EbayOffer.getTranslation).simulate;
 
     // check bid-lock. When another article auction is still running for the same group, we cannot perform bid
     let bidLockInfo = await browser.runtime.sendMessage({action: 'getBidLockState', articleId: this.articleId});
-    if (bidLockInfo == null || typeof bidLockInfo === 'undefined' || !bidLockInfo.hasOwnProperty('bidIsLocked')) {
-      throw {
-        component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
-        level: EbayOffer.getTranslation('generic_internalError', '.Internal Error'),
-        message: EbayOffer.getTranslation('cs_couldNotCheckBidLock',
-          '.Could not check if bidding is locked')
-      };
-    }
-    if (bidLockInfo.bidIsLocked) {
-      console.debug("Biet-O-Matic: doBid() abort, bidding is locked");
-      // update title & button
-      document.title = EbayOffer.getTranslation('cs_biddingAbort', '.Bidding aborted'); 
-      EbayOffer.waitFor('input[name="confirmbid"]', 1000)
-        .then(confirmButton => {
-          confirmButton.value = EbayOffer.getTranslation('cs_biddingAbort', '.Bidding aborted');
-        });
-      throw {
-        component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
-        level: EbayOffer.getTranslation('generic_cancel', '.Cancel'),
-        message: bidLockInfo.message
-      };
+    try {
+      BidPrecheck.verifyBidLock(bidLockInfo, EbayOffer.getTranslation);
+    } catch (e) {
+      if (bidLockInfo != null && bidLockInfo.bidIsLocked) {
+        // update title & button
+        document.title = EbayOffer.getTranslation('cs_biddingAbort', '.Bidding aborted');
+        EbayOffer.waitFor('input[name="confirmbid"]', 1000)
+          .then(confirmButton => {
+            confirmButton.value = EbayOffer.getTranslation('cs_biddingAbort', '.Bidding aborted');
+          });
+      }
+      throw e;
     }
 
+    // the page shows that eBay rejected a previous submit, e.g. "bid must be higher"
+    const bidTooLowMessage = BidRetry.getBidTooLowMessage();
+    if (bidTooLowMessage != null && await EbayOffer.retryBid(this.articleId, bidTooLowMessage)) return;
+
     // get confirm button   
     const confirmButton = document.getElementsByName('confirmbid');
     if (confirmButton == null || typeof confirmButton === 'undefined' || confirmButton.length === 0) {
       console.log("Biet-O-Matic: Bidding failed: Confirm Button missing!");
+      const reason = EbayOffer.getTranslation('cs_errorCannotFindBidButton', '.Bid button could not be found!');
+      if (await EbayOffer.retryBid(this.articleId, reason)) return;
       throw {
         component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
         level: EbayOffer.getTranslation('cs_problemWithBidding', '.Problem submitting the bid'),
@@ -316,7 +377,34 @@ class EbayOffer {
     // Note: The page will now redirect to offer.ebay.xx again, so this content script should reload.
 
     // finally also send performance info to popup
-    this.sendBidPerfInfo();
+    this.sendBidPerfInfo(expectedExecutionTime, simulate);
+  }
+
+  /*
+   * Retry a failed bid by loading the offer page again
+   * - the popup logs the attempt with its reason and decides, if time remains and the maximum bid is still high enough
+   * - returns true if the offer page is being reloaded
+   */
+  static async retryBid(articleId, reason) {
+    const attempt = BidRetry.getAttempt(articleId);
+    let result = null;
+    try {
+      result = await browser.runtime.sendMessage({
+        action: 'ebayArticleBidRetry',
+        articleId: articleId,
+        detail: {attempt: attempt, reason: reason}
+      });
+    } catch (e) {
+      console.warn("Biet-O-Matic: retryBid(%s), Cannot sendMessage: %s", articleId, e.message);
+    }
+    if (result == null || result.retry !== true) {
+      BidRetry.setAttempt(articleId, null);
+      return false;
+    }
+    console.log("Biet-O-Matic: retryBid(%s) attempt %s failed (%s), reloading offer page", articleId, attempt, reason);
+    BidRetry.setAttempt(articleId, attempt + 1);
+    window.location.href = result.offerUrl;
+    return true;
   }
 
   /*
@@ -359,8 +447,11 @@ class EbayOffer {
     });
   }
 
-  // print perf info,
-  sendBidPerfInfo() {
+  /*
+   * print perf info, and send the timings as structured data to the popup (see BidTiming.js)
+   * - expectedExecutionTime: the scheduled bid time (system clock)
+   */
+  sendBidPerfInfo(expectedExecutionTime, simulate = false) {
     let result = "";
     let previousTime = 0;
     this.perfInfo.forEach(m => {
@@ -374,13 +465,35 @@ class EbayOffer {
       previousTime = m.perf;
     });
     // calculate timeleft until auction end
-    let timeLeft = this.articleEndTime - this.perfInfo[this.perfInfo.length - 1].date;
-    result += `timeLeft = ${timeLeft}ms (${this.articleEndTime} - ${this.perfInfo[this.perfInfo.length - 1].date})`;
+    let timeLeft = this.articleEndTime + this.clockOffset - this.perfInfo[this.perfInfo.length - 1].date;
+    result += `timeLeft = ${timeLeft}ms (${this.articleEndTime} - ${this.perfInfo[this.perfInfo.length - 1].date}, clockOffset=${this.clockOffset}ms)`;
     EbayOffer.sendArticleLog(this.articleId, {
       component: EbayOffer.getTranslation('cs_bidding', '.Bidding'),
       level: EbayOffer.getTranslation('generic_performance', '.Performance'),
       message: result
     });
+
+    // the timings of retries are not representative for the bid time (the bid time has already passed)
+    if (this.bidAttempt > 1) return;
+    const submitTime = this.perfInfo[this.perfInfo.length - 1].date;
+    browser.runtime.sendMessage({
+      action: 'addBidTiming',
+      articleId: this.articleId,
+      detail: {
+        articleId: this.articleId,
+        bidTime: this.bidTime,
+        tabless: false,
+        simulate: simulate,
+        clockOffset: this.clockOffset,
+        overhead: submitTime - expectedExecutionTime,
+        margin: timeLeft,
+        phases: this.perfInfo.map(m => {
+          return {description: m.description, sinceStart: Math.round(m.perf - this.perfInfo[0].perf)};
+        })
+      }
+    }).catch(e => {
+      console.warn("Biet-O-Matic: sendBidPerfInfo(%s), Cannot sendMessage: %s", this.articleId, e.message);
+    });
   }
 
   // https://stackoverflow.com/questions/5525071/how-to-wait-until-an-element-exists
@@ -435,6 +548,10 @@ class EbayOffer {
   }
 }
 
+// clock offsets older than 1 hour or larger than 60s are not compensated
+EbayOffer.clockOffsetMaxAge = 3_600_000;
+EbayOffer.clockOffsetMax = 60_000;
+
 /*
  * MAIN
  */
@@ -9,6 +9,7 @@
 
 // mozilla webextension polyfill for chrome
 import browser from "webextension-polyfill";
+import BidTiming from "./BidTiming.js";
 
 // Saves options to chrome.storage
 function save_options() {
@@ -19,8 +20,12 @@ function save_options() {
   const disableGroups = document.getElementById('disableGroups').checked;
   const enableCompactSaving = document.getElementById('enableCompactSaving').checked;
   const enableLocalMode = document.getElementById('enableLocalMode').checked;
+  const enableTablessBidding = document.getElementById('enableTablessBidding').checked;
+  const enableOddCents = document.getElementById('enableOddCents').checked;
+  const budgetIncludesShipping = document.getElementById('budgetIncludesShipping').checked;
   const ebayPlatform = document.getElementById('ebayPlatform').value;
   const bidTime = Number.parseInt(document.getElementById('bidTime').value);
+  const enableAdaptiveBidTime = document.getElementById('enableAdaptiveBidTime').checked;
   
   browser.storage.sync.set({
     disableSleepPrevention: disableSleepPrevention,
@@ -29,8 +34,12 @@ function save_options() {
     disableGroups: disableGroups,
     enableCompactSaving: enableCompactSaving,
     enableLocalMode: enableLocalMode,
+    enableTablessBidding: enableTablessBidding,
+    enableOddCents: enableOddCents,
+    budgetIncludesShipping: budgetIncludesShipping,
     ebayPlatform: ebayPlatform,
-    bidTime: bidTime
+    bidTime: bidTime,
+    enableAdaptiveBidTime: enableAdaptiveBidTime
   })
     .then(() => {
       // Update status to let user know options were saved.
@@ -56,8 +65,12 @@ function restore_options() {
     disableGroups: false,
     enableCompactSaving: false,
     enableLocalMode: false,
+    enableTablessBidding: false,
+    enableOddCents: false,
+    budgetIncludesShipping: false,
     ebayPlatform: null,
-    bidTime: 10
+    bidTime: 10,
+    enableAdaptiveBidTime: false
   }).then((items) => {
     document.getElementById('disableSleepPrevention').checked = items.disableSleepPrevention;
     document.getElementById('disableArticleRefresh').checked = items.disableArticleRefresh;
@@ -65,12 +78,28 @@ function restore_options() {
     document.getElementById('disableGroups').checked = items.disableGroups;
     document.getElementById('enableCompactSaving').checked = items.enableCompactSaving;
     document.getElementById('enableLocalMode').checked = items.enableLocalMode;
+    document.getElementById('enableTablessBidding').checked = items.enableTablessBidding;
+    document.getElementById('enableOddCents').checked = items.enableOddCents;
+    document.getElementById('budgetIncludesShipping').checked = items.budgetIncludesShipping;
     document.getElementById('ebayPlatform').value = items.ebayPlatform;
     document.getElementById('bidTime').value = Number.parseInt(items.bidTime);
+    document.getElementById('enableAdaptiveBidTime').checked = items.enableAdaptiveBidTime;
   }).catch(e => {
     console.log("Unable to load options: " + e);
   });
 
+  // show the bid time suggestion from the measured timings of previous bids
+  BidTiming.getSuggestion().then((suggestion) => {
+    const span = document.getElementById('bidTimeSuggestion');
+    if (suggestion == null) {
+      span.textContent = `(not enough bids measured yet, at least ${BidTiming.minSamples} are required)`;
+    } else {
+      span.textContent = `(currently ${suggestion.bidTime}s, based on ${suggestion.samples} bids)`;
+    }
+  }).catch(e => {
+    console.log("Unable to determine bid time suggestion: " + e);
+  });
+
   // display help text in div linkToDoc
   const div = document.getElementById('linkToDoc');
   div.innerHTML = "";
@@ -42,12 +42,21 @@ import * as toastr from "toastr";
 import "toastr/build/toastr.css";
 
 import EbayParser from "./EbayParser.js";
+import EbayPlatform from "./EbayPlatform.js";
+import Money from "./Money.js";
+import BidPrecheck from "./BidPrecheck.js";
+import BidTiming from "./BidTiming.js";
+import BidRetry from "./BidRetry.js";
 import BomStorage from "./BomStorage.js";
 import "../css/popup.css";
 
 /*
  * All functions related to Auction Groups
- * Group information is stored in browser sync storage under key GROUPS: { 'name': { autoBid: true, bidAll: true }, ...]
+ * Group information is stored in browser sync storage under key GROUPS: { 'name': { autoBid: true, bidAll: true, bidTime: 5 }, ...]
+ * - bidTime is optional, without it the global bid time is used
+ * - budget is optional, the amounts of won items are subtracted from it
+ * - budgetCurrency is the currency of the budget, items in other currencies are not checked against the budget
+ * The won amounts are stored per group under key WINS:<name>: { articleId: amount }, to keep the GROUPS item small
  */
 class Group {
   // returns the groups from sync.storage
@@ -58,11 +67,12 @@ class Group {
   }
 
   /*
-   * returns the state of group {autoBid: true|false, bidAll: true|false}
+   * returns the state of group
+   * {autoBid: true|false, bidAll: true|false, bidTime: null|seconds, budget: null|amount, budgetCurrency: null|currency}
    * and sets the group cache
    */
   static async getState(name) {
-    const result = { autoBid: true, bidAll: false };
+    const result = { autoBid: true, bidAll: false, bidTime: null, budget: null, budgetCurrency: null };
     // name=null -> name=Other Auctions
     if (name == null || typeof name === "undefined") {
       name = $.fn.DataTable.RowGroup.defaults.emptyDataGroup;
@@ -86,7 +96,7 @@ class Group {
 
   // return cached group state or default settings if not cached
   static getStateCached(name) {
-    const result = { autoBid: true, bidAll: false };
+    const result = { autoBid: true, bidAll: false, bidTime: null, budget: null, budgetCurrency: null };
     // name=null -> name=Keine Gruppe
     if (name == null || typeof name === "undefined") {
       name = $.fn.DataTable.RowGroup.defaults.emptyDataGroup;
@@ -118,13 +128,120 @@ class Group {
     }
     console.debug("Biet-O-Matic: Group.setState(%s) setting autoBid=%s, bidAll=%s", name, autoBid, bidAll);
 
-    groupInfo[name] = { autoBid: autoBid, bidAll: bidAll, timestamp: Date.now() };
+    // keep other group settings (e.g. bidTime)
+    groupInfo[name] = Object.assign({}, groupInfo[name], { autoBid: autoBid, bidAll: bidAll, timestamp: Date.now() });
     Popup.cachedGroups[name] = groupInfo[name];
 
     // store the info back to the storage
     await Popup.storage.set({ GROUPS: groupInfo });
   }
 
+  /*
+   * Set the group bid time (seconds before the auction ends), null to use the global bid time
+   * Also creates the group if its not existing yet
+   */
+  static async setBidTime(name, bidTime = null) {
+    if (name == null || typeof name === "undefined") name = $.fn.DataTable.RowGroup.defaults.emptyDataGroup;
+    const groupInfo = await Group.getAll();
+    if (groupInfo.hasOwnProperty(name) && groupInfo[name].bidTime === bidTime) return;
+    console.debug("Biet-O-Matic: Group.setBidTime(%s) setting bidTime=%s", name, bidTime);
+    groupInfo[name] = Object.assign({ autoBid: true, bidAll: false }, groupInfo[name], {
+      bidTime: bidTime,
+      timestamp: Date.now(),
+    });
+    Popup.cachedGroups[name] = groupInfo[name];
+    await Popup.storage.set({ GROUPS: groupInfo });
+  }
+
+  /*
+   * Set the group budget (amount) and its currency, null to disable the budget
+   * Also creates the group if its not existing yet
+   */
+  static async setBudget(name, budget = null, currency = null) {
+    if (name == null || typeof name === "undefined") name = $.fn.DataTable.RowGroup.defaults.emptyDataGroup;
+    if (budget == null) currency = null;
+    const groupInfo = await Group.getAll();
+    if (
+      groupInfo.hasOwnProperty(name) &&
+      groupInfo[name].budget === budget &&
+      groupInfo[name].budgetCurrency === currency
+    )
+      return;
+    console.debug("Biet-O-Matic: Group.setBudget(%s) setting budget=%s %s", name, budget, currency);
+    groupInfo[name] = Object.assign({ autoBid: true, bidAll: false }, groupInfo[name], {
+      budget: budget,
+      budgetCurrency: currency,
+      timestamp: Date.now(),
+    });
+    Popup.cachedGroups[name] = groupInfo[name];
+    await Popup.storage.set({ GROUPS: groupInfo });
+    // the won amounts are only needed while the budget is set
+    if (budget == null) await Group.removeWins(name);
+  }
+
+  // returns the won amounts of all groups from storage { name: { articleId: amount } }
+  static async getAllWins() {
+    const result = {};
+    const storedInfo = await Popup.storage.get(null);
+    Object.keys(storedInfo).forEach((key) => {
+      if (!key.startsWith(Group.winsKeyPrefix)) return;
+      result[key.slice(Group.winsKeyPrefix.length)] = storedInfo[key];
+    });
+    return result;
+  }
+
+  // returns the cached won amounts of the group { articleId: amount }
+  static getWinsCached(name) {
+    if (name == null || typeof name === "undefined") name = $.fn.DataTable.RowGroup.defaults.emptyDataGroup;
+    if (!Popup.cachedGroupWins.hasOwnProperty(name)) return {};
+    return Popup.cachedGroupWins[name];
+  }
+
+  /*
+   * Record the amount of a won item, which is subtracted from the group budget
+   * - amount=null removes the item again (e.g. the auction end state was corrected)
+   * - only recorded for groups with budget
+   */
+  static async setWin(name, articleId, amount = null) {
+    if (name == null || typeof name === "undefined") name = $.fn.DataTable.RowGroup.defaults.emptyDataGroup;
+    const key = Group.winsKeyPrefix + name;
+    const result = await Popup.storage.get(key);
+    const wins = Object.assign({}, result[key]);
+    if (amount == null) {
+      if (!wins.hasOwnProperty(articleId)) return;
+      delete wins[articleId];
+    } else {
+      if (Group.getStateCached(name).budget == null || wins[articleId] === amount) return;
+      wins[articleId] = amount;
+    }
+    console.debug("Biet-O-Matic: Group.setWin(%s) setting %s=%s", name, articleId, amount);
+    Popup.cachedGroupWins[name] = wins;
+    await Popup.storage.set({ [key]: wins });
+  }
+
+  static async removeWins(name) {
+    delete Popup.cachedGroupWins[name];
+    await Popup.storage.remove(Group.winsKeyPrefix + name);
+  }
+
+  /*
+   * the budget is kept in one currency, amounts in other currencies cannot be compared with it
+   * - such items are skipped (not checked against the budget and not charged to it)
+   * - budgets without currency (or items with unknown currency) are compared as is
+   */
+  static isBudgetCurrency(name, currency) {
+    const budgetCurrency = Group.getStateCached(name).budgetCurrency;
+    return budgetCurrency == null || currency == null || budgetCurrency === currency;
+  }
+
+  // returns the remaining budget of the group (budget minus won amounts), null if the group has no budget
+  static getRemainingBudget(name) {
+    const state = Group.getStateCached(name);
+    if (state.budget == null) return null;
+    const spent = Object.values(Group.getWinsCached(name)).reduce((sum, amount) => sum + amount, 0);
+    return Math.round((state.budget - spent) * 100) / 100;
+  }
+
   static async toggleAutoBid(name) {
     if (typeof name === "undefined") return false;
     const state = await Group.getState(name);
@@ -250,6 +367,7 @@ class Group {
     if (!result.GROUPS.hasOwnProperty(name)) return;
     delete result.GROUPS[name];
     await Popup.storage.set(result);
+    await Group.removeWins(name);
   }
 
   // promisified setTimeout - simply wait for a defined time
@@ -314,6 +432,9 @@ class Group {
   }
 }
 
+// storage key prefix of the won amounts per group
+Group.winsKeyPrefix = "WINS:";
+
 /*
  * Manage Window AutoBid
  * - uses both window.sessionStorage and browser sync storage to maintain the state
@@ -787,6 +908,129 @@ class OptionCompactView {
   }
 }
 
+/*
+ * Parser health statistics
+ * - hit/miss count of the EbayParser per platform/layout (e.g. "ebay.de/x") and field
+ * - stored in window.localStorage (like the article logs)
+ * - if critical fields (end time, price, minimum bid) could not be parsed for several different articles,
+ *   the eBay page layout probably changed and a warning is shown to the user
+ */
+class ParserHealth {
+  static getStats() {
+    const stats = JSON.parse(window.localStorage.getItem("parserStats"));
+    return stats == null ? {} : stats;
+  }
+
+  static setStats(stats) {
+    window.localStorage.setItem("parserStats", JSON.stringify(stats));
+  }
+
+  /*
+   * some fields are not expected on every page:
+   * - ended auctions have no minimum bid
+   * - buy-it-now only articles have no bid price and minimum bid
+   */
+  static isExpected(key, article, info) {
+    if (key !== "articleBidPrice" && key !== "articleMinimumBid") return true;
+    const endTime = info.articleEndTime != null ? info.articleEndTime : article.articleEndTime;
+    if (article.auctionEndState != null || (endTime != null && endTime < Date.now())) return false;
+    if (info.articleBuyPrice != null && info.articleBidPrice == null && article.articleBidPrice == null) return false;
+    return true;
+  }
+
+  /*
+   * the statistics are kept per eBay platform and page layout, e.g. "ebay.de/x" (platform id / layout)
+   * - a hit on one platform or layout does not hide the misses of another one
+   */
+  static getScope(article, info) {
+    const platform = info.articlePlatform != null ? info.articlePlatform : article.articlePlatform;
+    const layout = info.articleLayout != null ? info.articleLayout : "unknown";
+    return `${platform != null ? platform : "unknown"}/${layout}`;
+  }
+
+  /*
+   * record the parse result of an article
+   * - stats[scope][key] = {hits, misses, lastHit, lastMiss, missedArticles}
+   * - missedArticles: ids of the different articles where the field was missed since the last hit
+   */
+  static record(article, info) {
+    const stats = ParserHealth.getStats();
+    const now = Date.now();
+    const scope = ParserHealth.getScope(article, info);
+    if (!stats.hasOwnProperty(scope)) stats[scope] = {};
+    const getEntry = (key) => {
+      if (!stats[scope].hasOwnProperty(key))
+        stats[scope][key] = { hits: 0, misses: 0, lastHit: null, lastMiss: null, missedArticles: [] };
+      return stats[scope][key];
+    };
+    if (info.articleParseSources != null) {
+      for (const key of Object.keys(info.articleParseSources)) {
+        const entry = getEntry(key);
+        entry.hits++;
+        entry.lastHit = now;
+        entry.missedArticles = [];
+      }
+    }
+    for (const key of info.articleParseMisses) {
+      if (!ParserHealth.isExpected(key, article, info)) continue;
+      const entry = getEntry(key);
+      entry.misses++;
+      entry.lastMiss = now;
+      if (!entry.missedArticles.includes(article.articleId)) entry.missedArticles.push(article.articleId);
+      if (entry.missedArticles.length > ParserHealth.maxMissedArticles) entry.missedArticles.shift();
+    }
+    ParserHealth.setStats(stats);
+    ParserHealth.check(stats);
+  }
+
+  // returns the critical fields which could not be parsed for several articles, e.g. ["ebay.de/x:articleEndTime"]
+  static getFailedFields(stats = ParserHealth.getStats()) {
+    const result = [];
+    for (const scope of Object.keys(stats)) {
+      for (const key of EbayParser.criticalFields) {
+        const entry = stats[scope][key];
+        if (entry != null && entry.missedArticles.length >= ParserHealth.warnThreshold) result.push(`${scope}:${key}`);
+      }
+    }
+    return result;
+  }
+
+  // show a warning for newly failed critical fields (once per field, platform/layout and session)
+  static check(stats = ParserHealth.getStats()) {
+    const failed = ParserHealth.getFailedFields(stats).filter((field) => !ParserHealth.warned.includes(field));
+    if (failed.length === 0) return;
+    ParserHealth.warned.push(...failed);
+    console.warn("Biet-O-Matic: ParserHealth - fields could not be parsed for several items: %s", failed.join(", "));
+    Popup.addUserMessage({
+      title: Popup.getTranslation("popup_parserWarningTitle", ".eBay page layout changed?"),
+      message: Popup.getTranslation(
+        "popup_parserWarning",
+        ".The following information could not be determined for $1 different items: $2. Automatic bidding might not work correctly!",
+        [ParserHealth.warnThreshold.toString(), failed.map((field) => ParserHealth.getFieldName(field)).join(", ")]
+      ),
+      level: "error",
+    });
+  }
+
+  // e.g. "ebay.de/x:articleEndTime" -> "Auction End Time (ebay.de/x)"
+  static getFieldName(field) {
+    const names = {
+      articleEndTime: Popup.getTranslation("popup_auctionendtime", ".Auction End Time"),
+      articleBidPrice: Popup.getTranslation("generic_price", ".Price"),
+      articleMinimumBid: Popup.getTranslation("popup_minimumbid", ".Minimum Bid"),
+    };
+    const index = field.lastIndexOf(":");
+    const scope = field.substring(0, index);
+    const key = field.substring(index + 1);
+    return `${names.hasOwnProperty(key) ? names[key] : key} (${scope})`;
+  }
+}
+
+// number of different articles with a missing critical field, before the warning is shown
+ParserHealth.warnThreshold = 3;
+ParserHealth.maxMissedArticles = 10;
+ParserHealth.warned = [];
+
 /*
  * All functions related to an eBay Article
  * - hold info for DataTable
@@ -801,6 +1045,8 @@ class Article {
     this.articleGroup = null;
     this.articleMaxBid = null;
     this.articleAutoBid = false;
+    // bid time override in seconds, null: use the group or global bid time
+    this.articleBidTime = null;
     this.offerTabId = null;
     // normal article, from open tab
     // Note: if the contentScript adds new attributes, they should be added here
@@ -821,10 +1067,21 @@ class Article {
       "articlePlatform",
       "articleImage",
       "articleSeller",
+      "articleParseSources",
+      "articleSpecifics",
+      "articleSellerFeedbackScore",
+      "articleSellerPositivePercent",
+      "articleSellerMemberSince",
+      "articleHasVariations",
+      "articleImages",
+      "articleHighBidder",
     ];
     elements.forEach((e) => {
       if (info.hasOwnProperty(e)) this[e] = info[e];
     });
+    if (info.hasOwnProperty("articleVariations")) this.setVariations(info.articleVariations);
+    // the first parse result (e.g. from the article tab) is also collected for the parser health statistics
+    if (info.hasOwnProperty("articleParseMisses")) ParserHealth.record(this, info);
     // add open tab info
     if (tab != null) this.tabId = tab.id;
     this.articleDetailsShown = false;
@@ -884,7 +1141,7 @@ class Article {
     }
     // convert maxBid from string to number (not sure why, but it happens).
     if (info.hasOwnProperty("articleMaxBid") && typeof info.articleMaxBid === "string") {
-      info.articleMaxBid = Number.parseInt(info.articleMaxBid, 10);
+      info.articleMaxBid = Money.parseNumber(info.articleMaxBid);
       converted++;
     }
     return converted;
@@ -904,8 +1161,7 @@ class Article {
      * Check if the tab is for an supported eBay article before we attempt to parse info from it
      * e.g. https://www.ebay.de/itm/*
      */
-    let regex = /^https:\/\/www.ebay.(de|com)\/itm/i;
-    if (!tab.hasOwnProperty("url") || !regex.test(tab.url)) {
+    if (!tab.hasOwnProperty("url") || !EbayPlatform.isItemUrl(tab.url)) {
       console.log("Biet-O-Matic: getInfoFromTab(%d) Not an ebay item tab, skipping (%s).", tab.id, tab.url);
       return Promise.resolve({});
     }
@@ -940,8 +1196,7 @@ class Article {
      * Check if the tab is for an supported eBay article before we attempt to parse info from it
      * e.g. https://offer.ebay.de/*
      */
-    let regex = /^https:\/\/offer.ebay.(de|com)\//i;
-    if (!tab.hasOwnProperty("url") || !regex.test(tab.url)) {
+    if (!tab.hasOwnProperty("url") || !EbayPlatform.isOfferUrl(tab.url)) {
       console.log("Biet-O-Matic: getInfoFromOfferTab(%d) Not an ebay offer tab, skipping (%s).", tab.id, tab.url);
       return Promise.resolve({});
     }
@@ -960,6 +1215,11 @@ class Article {
       articleEndTime: article.articleEndTime,
       tabId: article.tabId,
       offerTabId: article.offerTabId,
+      articleHasVariations: article.hasVariations(),
+      articleVariationId: article.articleVariationId,
+      articleVariationLabel: article.getVariationLabel(),
+      articleBidTime: article.getBidTimeOverride(),
+      adaptiveBidTime: Popup.adaptiveBidTime,
     };
   }
 
@@ -1020,12 +1280,13 @@ class Article {
     // store maxBid as number
     if (info != null && info.hasOwnProperty("articleMaxBid")) {
       if (typeof info.articleMaxBid === "string") {
+        const maxBid = Money.parseNumber(info.articleMaxBid, this.getPlatform().locale);
         console.debug(
-          "Biet-O-Matic: updateInfoInStorage() Convert articleMaxBid string=%s to float=%s",
+          "Biet-O-Matic: updateInfoInStorage() Convert articleMaxBid string=%s to number=%s",
           info.articleMaxBid,
-          Number.parseFloat(info.articleMaxBid.replace(/,/, "."))
+          maxBid
         );
-        info.articleMaxBid = Number.parseFloat(info.articleMaxBid.replace(/,/, "."));
+        info.articleMaxBid = maxBid;
       }
     }
 
@@ -1071,6 +1332,17 @@ class Article {
     delete info.ebayParser;
     delete info.modifiedEndTime;
     delete info.tmpLastLogMessage;
+    delete info.articleParseSources;
+    delete info.articleParseMisses;
+    delete info.bidHistory;
+    delete info.bidHistorySummary;
+    // item specifics, gallery images and variations are too large for the sync storage (8 KB per item),
+    // they are only kept in memory and parsed again when the item is refreshed (articleHasVariations is kept)
+    if (!Popup.enableLocalMode) {
+      delete info.articleSpecifics;
+      delete info.articleImages;
+      delete info.articleVariations;
+    }
   }
 
   /*
@@ -1099,8 +1371,37 @@ class Article {
       articleAutoBid: { i18nKey: "generic_articleAutoBid", defaultText: ".Article Auto-Bid" },
       articleMaxBid: { i18nKey: "generic_articleMaxBid", defaultText: ".Article Maximum Bid" },
       articleGroup: { i18nKey: "generic_group", defaultText: ".Article Group" },
+      articleVariationId: { i18nKey: "popup_variation", defaultText: ".Variation" },
+      articleHighBidder: { i18nKey: "popup_highBidder", defaultText: ".High Bidder" },
+      articleBidTime: { i18nKey: "popup_bidTime", defaultText: ".Bid Time" },
     };
 
+    // which parse strategy (selector, microdata, jsonld) determined the fields, not logged
+    if (info.hasOwnProperty("articleParseSources")) this.articleParseSources = info.articleParseSources;
+    // parse hits/misses are collected for the parser health statistics
+    if (info.hasOwnProperty("articleParseMisses")) ParserHealth.record(this, info);
+    // item specifics and gallery images are objects, only compare the content
+    for (const key of ["articleSpecifics", "articleImages"]) {
+      if (info.hasOwnProperty(key) && JSON.stringify(info[key]) !== JSON.stringify(this[key])) {
+        this[key] = info[key];
+        result.modifiedForStorage++;
+      }
+    }
+    if (
+      info.hasOwnProperty("articleVariations") &&
+      JSON.stringify(info.articleVariations) !== JSON.stringify(this.articleVariations)
+    ) {
+      this.setVariations(info.articleVariations);
+      result.modifiedForStorage++;
+    }
+    // the seller reputation changes often, the change is not logged
+    for (const key of ["articleSellerFeedbackScore", "articleSellerPositivePercent", "articleSellerMemberSince"]) {
+      if (info.hasOwnProperty(key) && info[key] != null && info[key] !== this[key]) {
+        this[key] = info[key];
+        result.modifiedForStorage++;
+      }
+    }
+
     for (const key in checkList) {
       if (info.hasOwnProperty(key) && info[key] !== this[key]) {
         const msg = Popup.getTranslation(checkList[key].i18nKey, checkList[key].defaultText);
@@ -1110,6 +1411,10 @@ class Article {
             messages.push(Article.getDiffMessage(msg, this.articleAuctionStateText, info.articleAuctionStateText));
             this.articleAuctionStateText = info.articleAuctionStateText;
           }
+        } else if (key === "articleVariationId") {
+          messages.push(
+            Article.getDiffMessage(msg, this.getVariationLabel(this[key]), this.getVariationLabel(info[key]))
+          );
         } else {
           messages.push(Article.getDiffMessage(msg, this[key], info[key]));
         }
@@ -1118,6 +1423,7 @@ class Article {
         if (
           key !== "articleMaxBid" &&
           key !== "articleAutoBid" &&
+          key !== "articleBidTime" &&
           key !== "articleGroup" &&
           key !== "articleAuctionState"
         )
@@ -1219,6 +1525,22 @@ class Article {
     return info;
   }
 
+  /*
+   * Fetch the bid history of the article from eBay and update the details row
+   * - limited to once every 5 minutes per article
+   */
+  async updateBidHistory() {
+    if (this.articleBidCount == null || this.articleBidCount < 1) return;
+    if (Popup.checkRateLimit("updateBidHistory", this.articleId, 5 * 60 * 1000)) return;
+    this.bidHistory = await EbayParser.getBidHistory(this.articleId, this.getPlatform().id);
+    this.bidHistorySummary = EbayParser.getBidHistorySummary(this.bidHistory, this.articleEndTime);
+    console.debug("Biet-O-Matic: updateBidHistory(%s) summary=%s", this.articleId, JSON.stringify(this.bidHistorySummary));
+    const row = Popup.table.getRow("#" + this.articleId);
+    if (row != null && row.length === 1 && row.child.isShown()) {
+      row.child(ArticlesTable.renderArticleLog(this)).show();
+    }
+  }
+
   // add log message for article
   addLog(messageObject) {
     let message = {};
@@ -1272,26 +1594,56 @@ class Article {
     else return "tabid-" + this.tabId;
   }
 
+  // return the platform of the article (articles without platform are from ebay.de)
+  getPlatform() {
+    return EbayPlatform.get(this.articlePlatform);
+  }
+
   // return the link for that article
   getUrl() {
-    if (this.hasOwnProperty("articlePlatform"))
-      return `https://cgi.${this.articlePlatform}/ws/eBayISAPI.dll?ViewItem&item=${this.articleId}&nordt=true&orig_cvip=true&rt=nc`;
-    else return `https://cgi.ebay.de/ws/eBayISAPI.dll?ViewItem&item=${this.articleId}&nordt=true&orig_cvip=true&rt=nc`;
+    return this.getPlatform().getItemUrl(this.articleId);
   }
 
   getProfileUrl() {
-    if (this.articleSeller == null) return "https://www.${this.articlePlatform}";
-    if (this.hasOwnProperty("articlePlatform")) return `https://www.${this.articlePlatform}/usr/${this.articleSeller}`;
-    else return `https://www.ebay.de/usr/${this.articleSeller}`;
+    return this.getPlatform().getProfileUrl(this.articleSeller);
+  }
+
+  // return the seller feedback score and positive percentage as text, or null if unknown
+  getSellerReputation() {
+    if (this.articleSellerFeedbackScore == null && this.articleSellerPositivePercent == null) return null;
+    const score = this.articleSellerFeedbackScore != null ? this.articleSellerFeedbackScore.toLocaleString(Popup.lang) : "?";
+    const percent = this.articleSellerPositivePercent != null ? this.articleSellerPositivePercent.toLocaleString(Popup.lang) : "?";
+    return Popup.getTranslation("popup_sellerReputation", ".($1, $2% positive)", [score, percent]);
   }
 
   // return the offer link for that article
-  // https://offer.ebay.de/ws/eBayISAPI.dll?MakeBid&fromPage=2047675&item=124336100157&maxbid=3,00&fb=2&bu=confirm
   getOfferUrl() {
-    if (this.hasOwnProperty("articlePlatform"))
-      return `https://offer.${this.articlePlatform}/ws/eBayISAPI.dll?MakeBid&fromPage=2047675&item=${this.articleId}&maxbid=${this.articleMaxBid}&fb=2&bu=bid`;
-    else
-      return `https://offer.ebay.de/ws/eBayISAPI.dll?MakeBid&fromPage=2047675&item=${this.articleId}&maxbid=${this.articleMaxBid}&fb=2&bu=bid`;
+    return this.getPlatform().getOfferUrl(this.articleId, this.articleMaxBid, this.articleVariationId);
+  }
+
+  /*
+   * set the variations parsed from the item page
+   * - the variation list is not kept in the sync storage (see removeUnwantedInfo), but articleHasVariations is,
+   *   so a variation still has to be selected for bidding until the list has been parsed again
+   */
+  setVariations(variations) {
+    this.articleVariations = variations;
+    this.articleHasVariations = Array.isArray(variations) && variations.length > 0;
+  }
+
+  // articles with variations (e.g. size/colour) need a selected variation for bidding
+  hasVariations() {
+    return this.articleHasVariations === true || (Array.isArray(this.articleVariations) && this.articleVariations.length > 0);
+  }
+
+  // return the label of the given (or the selected) variation, e.g. "Size: M, Colour: Red" or null
+  getVariationLabel(variationId = this.articleVariationId) {
+    if (variationId == null || !this.hasVariations()) return null;
+    // the variation list is not loaded yet (see setVariations)
+    if (!Array.isArray(this.articleVariations)) return variationId;
+    const variation = this.articleVariations.find((v) => v.id === variationId);
+    if (typeof variation === "undefined") return variationId;
+    return variation.label;
   }
 
   // returns the autoBid state for window, article group and article
@@ -1303,6 +1655,7 @@ class Article {
       articleAutoBid: this.articleAutoBid,
       groupName: groupName,
       groupAutoBid: Popup.disableGroups === true ? true : Group.getStateCached(groupName).autoBid,
+      groupBudgetExceeded: this.exceedsGroupBudget(),
     };
     // the the window info (autoBidEnabled)
     const windowAutoBidInfo = AutoBid.getLocalState();
@@ -1442,11 +1795,11 @@ class Article {
   getPrettyBidPrice() {
     //console.log("data=%O, type=%O, row=%O", data, type, row);
     let currency;
-    if (this.hasOwnProperty("articleCurrency")) {
+    if (this.hasOwnProperty("articleCurrency") && this.articleCurrency != null) {
       currency = this.articleCurrency;
     } else {
-      console.log("Biet-O-Matic: Article %s - using default currency EUR", this.articleId);
-      currency = "EUR?";
+      currency = this.getPlatform().currency;
+      console.log("Biet-O-Matic: Article %s - using platform currency %s", this.articleId, currency);
     }
     let price;
     if (this.hasOwnProperty("articleBidPrice")) {
@@ -1454,21 +1807,165 @@ class Article {
     } else if (this.hasOwnProperty("articleBuyPrice")) {
       price = this.articleBuyPrice;
     }
-    try {
-      return new Intl.NumberFormat(Popup.lang, { style: "currency", currency: currency }).format(price);
-    } catch (e) {
-      return price;
+    const money = Money.fromNumber(price, currency);
+    if (money == null) return price;
+    return money.format(Popup.lang);
+  }
+
+  /*
+   * the bid time (seconds before the auction ends) set for this article, or else for its group
+   * null if the global bid time should be used
+   */
+  getBidTimeOverride() {
+    if (Article.isValidBidTime(this.articleBidTime)) return this.articleBidTime;
+    if (Popup.disableGroups) return null;
+    const groupBidTime = Group.getStateCached(this.articleGroup).bidTime;
+    if (Article.isValidBidTime(groupBidTime)) return groupBidTime;
+    return null;
+  }
+
+  /*
+   * the bid time to use for this article, globalBidTime is the bid time from the options
+   * - if enabled, the adaptive bid time (measured bid timings) replaces the global bid time
+   */
+  getBidTime(globalBidTime) {
+    const bidTime = this.getBidTimeOverride();
+    if (bidTime != null) return bidTime;
+    return Popup.adaptiveBidTime == null ? globalBidTime : Popup.adaptiveBidTime;
+  }
+
+  static isValidBidTime(bidTime) {
+    return Number.isInteger(bidTime) && bidTime >= Article.minBidTime && bidTime <= Article.maxBidTime;
+  }
+
+  // the eBay bid increment for the current price, null if the price is unknown (buy-it-now)
+  getBidIncrement() {
+    if (this.articleBidPrice == null || Number.isNaN(this.articleBidPrice)) return null;
+    return this.getPlatform().getBidIncrement(this.articleBidPrice, this.articleCurrency);
+  }
+
+  /*
+   * the required minimum bid
+   * - if the item has bids, at least the current price plus the bid increment
+   *   (the minimum bid shown by eBay is not updated when the price changes on refresh)
+   */
+  getMinimumBid() {
+    let minimumBid = this.articleMinimumBid;
+    if (this.articleBidCount > 0 && this.getBidIncrement() != null) {
+      const nextBid = Money.fromNumber(this.articleBidPrice).add(Money.fromNumber(this.getBidIncrement())).toNumber();
+      if (minimumBid == null || Number.isNaN(minimumBid) || nextBid > minimumBid) minimumBid = nextBid;
+    }
+    return minimumBid;
+  }
+
+  /*
+   * the amount which is charged against the group budget: the maximum bid (or given price)
+   * plus the shipping costs, if enabled by option "budgetIncludesShipping"
+   */
+  getBudgetAmount(price = this.articleMaxBid) {
+    if (price == null || Number.isNaN(Number(price))) return null;
+    let amount = Money.fromNumber(price, this.articleCurrency);
+    if (Popup.budgetIncludesShipping && this.articleShippingCost != null) {
+      const shipping = EbayParser.parsePriceString(this.articleShippingCost, null, this.getPlatform().locale);
+      if (shipping.price != null) amount = amount.add(Money.fromNumber(shipping.price, this.articleCurrency));
+    }
+    return amount.toNumber();
+  }
+
+  /*
+   * true if the maximum bid (plus shipping) would exceed the remaining budget of the group
+   * - with bidAll several items can be won at once, so the maximum bids of other items of the group
+   *   which are currently bid on (and end before this item) are reserved from the remaining budget
+   */
+  exceedsGroupBudget() {
+    if (Popup.disableGroups) return false;
+    const remainingBudget = Group.getRemainingBudget(this.articleGroup);
+    if (remainingBudget == null || this.articleMaxBid == null) return false;
+    if (!Group.isBudgetCurrency(this.articleGroup, this.articleCurrency)) return false;
+    let reserved = 0;
+    if (Popup.table != null) {
+      Popup.table.DataTable.rows().every((index) => {
+        const article = Popup.table.DataTable.row(index).data();
+        if (article == null || article.articleId === this.articleId) return;
+        if (article.articleGroup !== this.articleGroup || article.articleMaxBid == null) return;
+        if (article.auctionEndState != null || !Group.isBudgetCurrency(this.articleGroup, article.articleCurrency)) return;
+        if (article.offerTabId == null && !TablessBid.isActive(article.articleId)) return;
+        // items ending at the same time are ordered by articleId, to not reserve each others budget
+        if (
+          article.articleEndTime > this.articleEndTime ||
+          (article.articleEndTime === this.articleEndTime && article.articleId > this.articleId)
+        )
+          return;
+        reserved += article.getBudgetAmount();
+      });
     }
+    return this.getBudgetAmount() > Math.round((remainingBudget - reserved) * 100) / 100;
+  }
+
+  /*
+   * decide if a failed bid submit should be retried (see BidRetry.js), the attempt and reason are logged
+   * - the item is refreshed, to re-check the maximum bid against the current minimum bid
+   * - returns {retry: true, offerUrl} or {retry: false}
+   */
+  async checkBidRetry(attempt, reason) {
+    const component = Popup.getTranslation("cs_bidding", ".Bidding");
+    this.addLog({
+      component: component,
+      level: "Warning",
+      message: Popup.getTranslation("popup_bidAttemptFailed", ".Bid attempt $1 failed: $2", [attempt.toString(), reason]),
+    });
+    const getTimeLeft = () => this.articleEndTime + Popup.getClockOffset() - Date.now();
+    if (!BidRetry.canRetry(attempt, getTimeLeft())) {
+      this.addLog({
+        component: component,
+        level: "Error",
+        message: Popup.getTranslation(
+          "popup_bidRetryNotPossible",
+          ".The bid is not retried (maximum $1 attempts, at least $2s before the auction ends).",
+          [BidRetry.maxAttempts.toString(), (BidRetry.minTimeLeft / 1000).toString()]
+        ),
+      });
+      return { retry: false };
+    }
+    // the price could have changed, e.g. another bid was placed meanwhile
+    await ArticlesTable.refreshArticle(this.articleId, this.articleEndTime, false).catch((e) => {
+      console.log("Biet-O-Matic: checkBidRetry(%s) refreshArticle failed: %s", this.articleId, e);
+    });
+    if (this.articleMaxBid < this.getMinimumBid()) {
+      this.addLog({
+        component: component,
+        level: "Error",
+        message: Popup.getTranslation(
+          "popup_articlePriceTooLow",
+          ".Skip, own offer of $1 $3 is lower than minimum bid of $2 $3.",
+          [this.articleMaxBid, this.getMinimumBid(), this.articleCurrency]
+        ),
+      });
+      return { retry: false };
+    }
+    if (!BidRetry.canRetry(attempt, getTimeLeft())) return { retry: false };
+    this.addLog({
+      component: component,
+      level: "Info",
+      message: Popup.getTranslation("popup_bidRetry", ".Retrying the bid (attempt $1 of $2).", [
+        (attempt + 1).toString(),
+        BidRetry.maxAttempts.toString(),
+      ]),
+    });
+    return { retry: true, offerUrl: this.getOfferUrl() };
   }
 
   // same logic as activateAutoBid from contentScript
   canActivateAutoBid() {
+    // the variation to bid on has to be selected
+    if (this.hasVariations() && this.articleVariationId == null) return false;
     // console.debug("Biet-O-Matic: activateAutoBid(%s), autoBid=%s, maxBidValue=%s (%s), minBidValue=%s (%s)",
     //   this.articleId, this.articleAutoBid, this.articleMaxBid, typeof this.articleMaxBid,
     //   this.articleMinimumBid, typeof this.articleMinimumBid);
     //let isMaxBidEntered = (Number.isNaN(maxBidValue) === false);
-    const isMinBidLargerOrEqualBidPrice = this.articleMinimumBid >= this.articleBidPrice;
-    const isMaxBidLargerOrEqualMinBid = this.articleMaxBid >= this.articleMinimumBid;
+    const minimumBid = this.getMinimumBid();
+    const isMinBidLargerOrEqualBidPrice = minimumBid >= this.articleBidPrice;
+    const isMaxBidLargerOrEqualMinBid = this.articleMaxBid >= minimumBid;
     const isMaxBidLargerThanBidPrice = this.articleMaxBid > this.articleBidPrice;
     if (isMinBidLargerOrEqualBidPrice) {
       //console.debug("Enable bid button: (isMinBidLargerOrEqualBidPrice(%s) && isMaxBidLargerOrEqualMinBid(%s) = %s",
@@ -1676,6 +2173,13 @@ class Article {
     try {
       let autoBidDisabled = false;
       if (!info.hasOwnProperty("auctionEndState")) info.auctionEndState = null;
+      // won amounts are subtracted from the group budget (removed again, if the state was corrected)
+      if (!Popup.disableGroups) {
+        const price = info.articleBidPrice != null ? info.articleBidPrice : this.articleBidPrice;
+        const charged = info.auctionEndState === 1 && Group.isBudgetCurrency(this.articleGroup, this.articleCurrency);
+        const amount = charged ? this.getBudgetAmount(price) : null;
+        await Group.setWin(this.articleGroup, this.articleId, amount);
+      }
       // 1 == purchased : then disable group autoBid
       if (info.auctionEndState === 1) {
         // disable group autoBid if bidAll is not set
@@ -1690,7 +2194,24 @@ class Article {
           await Group.setState(this.articleGroup, false, false);
           autoBidDisabled = true;
         }
+      } else if (
+        info.auctionEndState === EbayParser.auctionEndStates.endedEarly.id ||
+        info.auctionEndState === EbayParser.auctionEndStates.removed.id ||
+        info.auctionEndState === EbayParser.auctionEndStates.bidCancelled.id
+      ) {
+        // the item cannot be bid on anymore (or eBay would reject the bid again), disable article autoBid
+        if (this.articleAutoBid === true && Popup.table != null) {
+          Popup.table.updateArticle({ articleId: this.articleId, articleAutoBid: false }, null, { informTab: true });
+        }
+        if (info.auctionEndState === EbayParser.auctionEndStates.bidCancelled.id) {
+          Popup.addUserMessage({
+            message: Article.stateToText(info.auctionEndState),
+            title: Popup.getTranslation("generic_item", ".Item") + " " + this.articleId,
+            level: "warning",
+          });
+        }
       }
+      // overbid and reserve not met: the group autoBid stays active, so the next item of the group can be auctioned
       // add the ended state to the article log
       if (autoBidDisabled) {
         this.addLog({
@@ -1699,7 +2220,7 @@ class Article {
           message:
             Article.stateToText(info.auctionEndState) +
             " " +
-            Popup.getTranslation("popup_autoBidDeactivatedForGroup", ".Auto-Bid for group $1 deactivated.", [ is.articleGroup ]),
+            Popup.getTranslation("popup_autoBidDeactivatedForGroup", ".Auto-Bid for group $1 deactivated.", [ this.articleGroup ]),
         });
       } else {
         this.addLog({
@@ -1718,6 +2239,43 @@ class Article {
     }
   }
 
+  /*
+   * set the auction end state confirmed by the My eBay won/didn't win lists
+   * - handleAuctionEnded is only triggered if the state differs from the (guessed) state
+   * - a wrongly guessed purchase is undone: the group autoBid, which was deactivated for it, is activated again
+   */
+  async setConfirmedAuctionEndState(auctionEndState) {
+    if (this.auctionEndStateConfirmed === true) return;
+    const changed = this.auctionEndState !== auctionEndState;
+    const purchasedId = EbayParser.auctionEndStates.purchased.id;
+    if (changed && this.auctionEndState === purchasedId && auctionEndState !== purchasedId && !Popup.disableGroups) {
+      const groupState = await Group.getState(this.articleGroup);
+      if (groupState.autoBid === false && groupState.bidAll === false) {
+        await Group.setState(this.articleGroup, true, groupState.bidAll);
+        this.addLog({
+          component: Popup.getTranslation("cs_bidding", ".Bidding"),
+          level: "Status",
+          message: Popup.getTranslation(
+            "popup_autoBidReactivatedForGroup",
+            ".The item was not purchased, Auto-Bid for group $1 activated again.",
+            [this.articleGroup]
+          ),
+        });
+      }
+    }
+    this.auctionEndState = auctionEndState;
+    this.auctionEndStateConfirmed = true;
+    console.log(
+      "Biet-O-Matic: setConfirmedAuctionEndState(%s) auctionEndState=%s (changed=%s)",
+      this.articleId,
+      auctionEndState,
+      changed
+    );
+    if (changed) await this.handleAuctionEnded({ auctionEndState: auctionEndState });
+    await this.updateInfoInStorage({}, null, true);
+    Popup.redrawTableRow(this.articleId, false);
+  }
+
   // convert state id to text
   static stateToText(state) {
     if (state === 0) return Popup.getTranslation("cs_biddingFailed", ".Auction failed");
@@ -1725,6 +2283,14 @@ class Article {
       return Popup.getTranslation("cs_biddingSuccess", ".Auction was successful. Item has been purchased.");
     else if (state === 2)
       return Popup.getTranslation("cs_biddingOverbid", ".Auction was not successful. You were overbidden.");
+    else if (state === 3)
+      return Popup.getTranslation("cs_biddingReserveNotMet", ".Auction was not successful. The reserve price was not met.");
+    else if (state === 4)
+      return Popup.getTranslation("cs_biddingEndedEarly", ".The seller ended the listing early.");
+    else if (state === 5)
+      return Popup.getTranslation("cs_biddingRemoved", ".The listing was removed by eBay.");
+    else if (state === 6)
+      return Popup.getTranslation("cs_biddingCancelled", ".Your bid was cancelled.");
     else return Popup.getTranslation("cs_biddingStatusUnknown", ".Final auction state is unknown.");
   }
 
@@ -1744,6 +2310,284 @@ class Article {
   }
 }
 
+// valid range of the bid time override (seconds before the auction ends)
+Article.minBidTime = 1;
+Article.maxBidTime = 60;
+
+/*
+ * Tab-less bidding (optional, see internal option "enableTablessBidding")
+ * - instead of opening the offer tab, the offer page is loaded via fetch shortly before the auction ends
+ * - at the bid time the same pre-checks as in the offer tab are performed, then the confirmation form is submitted
+ * - this works even if the browser throttles, discards or closes tabs
+ */
+class TablessBid {
+  constructor(articleId, bidTime) {
+    this.articleId = articleId;
+    this.bidTime = bidTime;
+    this.form = null;
+    this.maxBid = null;
+  }
+
+  /*
+   * prepare the bid for the article and schedule the confirmation
+   * - returns false if the bid form could not be loaded, then the offer tab should be used instead
+   */
+  static async start(article, bidTime) {
+    if (TablessBid.isActive(article.articleId)) return true;
+    const tablessBid = new TablessBid(article.articleId, bidTime);
+    TablessBid.active[article.articleId] = tablessBid;
+    try {
+      await tablessBid.prepare(article);
+      tablessBid.schedule(article);
+      return true;
+    } catch (e) {
+      delete TablessBid.active[article.articleId];
+      console.log("Biet-O-Matic: TablessBid.start(%s) failed: %s", article.articleId, e);
+      article.addLog({
+        component: Popup.getTranslation("cs_bidding", ".Bidding"),
+        level: "Warning",
+        message: Popup.getTranslation(
+          "popup_tablessBidFailed",
+          ".Bidding without offer tab is not possible, the offer tab is used instead: $1",
+          [e.message]
+        ),
+      });
+      return false;
+    }
+  }
+
+  static isActive(articleId) {
+    return TablessBid.active.hasOwnProperty(articleId);
+  }
+
+  // load the bid confirmation form for the current maximum bid
+  async prepare(article) {
+    const form = await EbayParser.getBidForm(article.getOfferUrl());
+    // eBay shows the bid which will be submitted, it has to match the maximum bid
+    if (form.maxBid != null) {
+      const formMaxBid = Money.parseNumber(form.maxBid, article.getPlatform().locale);
+      if (Number.isNaN(formMaxBid) || Math.abs(formMaxBid - article.articleMaxBid) >= 0.005) {
+        throw new Error(`Maximum bid of the offer page (${form.maxBid}) does not match ${article.articleMaxBid}`);
+      }
+    }
+    this.form = form;
+    this.maxBid = article.articleMaxBid;
+  }
+
+  // schedule the confirmation at the bid time, considering bid collision prevention and the clock offset
+  schedule(article) {
+    const adjusted = article.perlenschnur();
+    if (adjusted.adjustmentReason != null) {
+      article.addLog({
+        component: Popup.getTranslation("cs_bidding", ".Bidding"),
+        level: "Info",
+        message: adjusted.adjustmentReason,
+      });
+    }
+    const timeToBid = Math.max(0, adjusted.articleEndTime + Popup.getClockOffset() - Date.now() - this.bidTime * 1000);
+    article.addLog({
+      component: Popup.getTranslation("cs_bidding", ".Bidding"),
+      level: "Info",
+      message: Popup.getTranslation(
+        "popup_tablessBidPrepared",
+        ".Bid prepared without offer tab, it will be submitted in $1 seconds",
+        [Math.round(timeToBid / 1000)]
+      ),
+    });
+    window.setTimeout(
+      (expectedExecutionTime) => {
+        this.confirmBid(expectedExecutionTime)
+          .catch((e) => {
+            console.warn("Biet-O-Matic: TablessBid.confirmBid(%s) aborted: %s", this.articleId, e.message);
+            TablessBid.addLog(this.articleId, e);
+          })
+          .finally(() => {
+            delete TablessBid.active[this.articleId];
+          });
+      },
+      timeToBid,
+      Date.now() + timeToBid
+    );
+  }
+
+  /*
+   * confirm the bid after performing the pre-checks (same as the offer tab)
+   * - the article is determined again, the user could have changed it meanwhile
+   */
+  async confirmBid(expectedExecutionTime) {
+    const timeOfStart = performance.now();
+    // check timer precision. Main concern are late timers (more than 1s).
+    const deviation = Date.now() - expectedExecutionTime;
+    if (deviation > 1100) {
+      TablessBid.addLog(this.articleId, {
+        component: Popup.getTranslation("cs_bidding", ".Bidding"),
+        level: "Warning",
+        message: Popup.getTranslation("cs_biddingLate", ".The confirm timer has been late $1 ms.", [deviation]),
+      });
+    }
+    const row = Popup.table.getRow("#" + this.articleId);
+    if (row == null || row.length !== 1) throw new Error("Item is not in the table anymore");
+    const article = row.data();
+
+    const simulate = BidPrecheck.verifyAutoBidState(article.getAutoBidState(), Popup.getTranslation).simulate;
+    BidPrecheck.verifyBidLock(article.getBidLockState(), Popup.getTranslation);
+
+    // the maximum bid has been changed after the form was loaded
+    if (article.articleMaxBid !== this.maxBid) await this.prepare(article);
+
+    const submitTime = Date.now();
+    const measurement = {
+      articleId: this.articleId,
+      bidTime: this.bidTime,
+      tabless: true,
+      simulate: simulate,
+      clockOffset: Popup.getClockOffset(),
+      overhead: submitTime - expectedExecutionTime,
+      margin: article.articleEndTime + Popup.getClockOffset() - submitTime,
+      phases: [{ description: "Preparing", sinceStart: 0 }],
+    };
+    if (simulate) {
+      article.addLog({
+        component: Popup.getTranslation("cs_bidding", ".Bidding"),
+        level: "Info",
+        message: "Bid not sent (test mode active)",
+      });
+      measurement.phases.push({ description: "Bid not sent", sinceStart: Math.round(performance.now() - timeOfStart) });
+      await Popup.addBidTiming(measurement);
+      return;
+    }
+    let auctionState = null;
+    let submitError = null;
+    try {
+      auctionState = await EbayParser.submitBidForm(this.form);
+    } catch (e) {
+      submitError = e;
+    }
+    const duration = Math.round(performance.now() - timeOfStart);
+    const timeLeft = article.articleEndTime + Popup.getClockOffset() - Date.now();
+    measurement.responseTime = Date.now() - submitTime;
+    measurement.phases.push({ description: "Bid submitted", sinceStart: duration });
+    await Popup.addBidTiming(measurement);
+    // retry while time remains, the offer page is loaded again for each attempt
+    for (let attempt = 1; submitError != null || BidRetry.isBidTooLow(auctionState); attempt++) {
+      const reason = submitError != null ? submitError.message : $(auctionState).text().replace(/\s+/g, " ").trim();
+      const retry = await article.checkBidRetry(attempt, reason);
+      if (!retry.retry) {
+        if (submitError != null) throw submitError;
+        break;
+      }
+      submitError = null;
+      // the auto-bid state, bid lock and group budget are checked again, they could have changed meanwhile
+      if (BidPrecheck.verifyAutoBidState(article.getAutoBidState(), Popup.getTranslation).simulate) break;
+      BidPrecheck.verifyBidLock(article.getBidLockState(), Popup.getTranslation);
+      try {
+        await this.prepare(article);
+        auctionState = await EbayParser.submitBidForm(this.form);
+      } catch (e) {
+        submitError = e;
+      }
+    }
+    article.addLog({
+      component: Popup.getTranslation("cs_bidding", ".Bidding"),
+      level: Popup.getTranslation("generic_performance", ".Performance"),
+      message: `Bid submitted without offer tab in ${duration}ms, timeLeft = ${timeLeft}ms`,
+    });
+    if (auctionState == null) {
+      article.addLog({
+        component: Popup.getTranslation("cs_bidding", ".Bidding"),
+        level: "Warning",
+        message: Popup.getTranslation(
+          "popup_tablessBidNoState",
+          ".Bid submitted, but eBay did not show the bid result. Please check the item."
+        ),
+      });
+    } else {
+      Popup.table.updateArticle({ articleId: this.articleId, articleAuctionState: auctionState }, row);
+    }
+  }
+
+  // add a log message (or Error) to the article
+  static addLog(articleId, messageObject) {
+    const row = Popup.table.getRow("#" + articleId);
+    if (row == null || row.length !== 1) return;
+    if (messageObject instanceof Error) {
+      messageObject = {
+        component: Popup.getTranslation("cs_bidding", ".Bidding"),
+        level: "Error",
+        message: messageObject.message,
+      };
+    }
+    row.data().addLog(messageObject);
+  }
+}
+
+// articleId -> TablessBid, for bids which are prepared or being submitted
+TablessBid.active = {};
+
+/*
+ * Bid rehearsal, performed some minutes before the bid (see BidRehearsal.leadTime)
+ * - the offer page is loaded in the background (fetch) and discarded afterwards, no bid is submitted
+ * - checks that the user is signed in to eBay, the confirm button exists and the maximum bid is high enough
+ * - failures are added to the item log and shown as user message, so the user can still react
+ */
+class BidRehearsal {
+  // returns true if the rehearsal for the current auction end time has not been performed yet
+  static isDue(article) {
+    return BidRehearsal.done[article.articleId] !== article.articleEndTime;
+  }
+
+  static async run(article) {
+    BidRehearsal.done[article.articleId] = article.articleEndTime;
+    console.debug("Biet-O-Matic: BidRehearsal.run(%s)", article.articleId);
+    try {
+      // the maximum bid has to be at least the minimum bid (price + bid increment)
+      if (article.articleMaxBid < article.getMinimumBid()) {
+        throw new Error(
+          Popup.getTranslation(
+            "popup_articlePriceTooLow",
+            ".Skip, own offer of $1 $3 is lower than minimum bid of $2 $3.",
+            [article.articleMaxBid, article.getMinimumBid(), article.articleCurrency]
+          )
+        );
+      }
+      // throws if not signed in or the confirm button is missing
+      const form = await EbayParser.getBidForm(article.getOfferUrl());
+      if (form.maxBid != null) {
+        const formMaxBid = Money.parseNumber(form.maxBid, article.getPlatform().locale);
+        if (Number.isNaN(formMaxBid) || Math.abs(formMaxBid - article.articleMaxBid) >= 0.005) {
+          throw new Error(`Maximum bid of the offer page (${form.maxBid}) does not match ${article.articleMaxBid}`);
+        }
+      }
+      article.addLog({
+        component: Popup.getTranslation("cs_bidding", ".Bidding"),
+        level: "Info",
+        message: Popup.getTranslation("popup_rehearsalSuccess", ".Bid rehearsal successful, the offer page is ready."),
+      });
+      return true;
+    } catch (e) {
+      console.log("Biet-O-Matic: BidRehearsal.run(%s) failed: %s", article.articleId, e.message);
+      const message = Popup.getTranslation("popup_rehearsalFailed", ".Bid rehearsal failed: $1", [e.message]);
+      article.addLog({
+        component: Popup.getTranslation("cs_bidding", ".Bidding"),
+        level: "Error",
+        message: message,
+      });
+      Popup.addUserMessage({
+        level: "error",
+        message: message,
+        title: Popup.getTranslation("generic_item", ".Item") + " " + article.articleId,
+        duration: 60_000,
+      });
+      return false;
+    }
+  }
+}
+
+// articleId -> articleEndTime of the auction for which the rehearsal has been performed
+BidRehearsal.done = {};
+// the rehearsal is performed this many ms before the auction end
+BidRehearsal.leadTime = 300_000;
+
 /*
  * All functions related to the articles Table
  * - create table
@@ -1785,6 +2629,9 @@ class ArticlesTable {
         message: Popup.getTranslation("generic_internalError", ".Internal Error") + ` in regularRefreshArticleInfo(): ${e.message}`
       });
     });
+    ArticlesTable.regularReconcileAuctionResults().catch((e) => {
+      console.error("Biet-O-Matic: regularReconcileAuctionResults() internal error: " + e);
+    });
   }
 
   // setup articles table
@@ -2200,8 +3047,10 @@ class ArticlesTable {
     - also check if same tab has been reused
     - if tab is specified:
     - if updatedFromRemote will inform the open tab about the changes and prevent log addition
+    - returns a promise for the added article, if the article was not yet in the table
+    - defaults: group, maximum bid and auto-bid of a new article, e.g. of imported items (see applyItemDefaults)
   */
-  addOrUpdateArticle(articleInfo, tab = null, updatedFromRemote = false) {
+  addOrUpdateArticle(articleInfo, tab = null, updatedFromRemote = false, defaults = null) {
     if (!articleInfo.hasOwnProperty("articleId")) return;
     let tabId = null;
     if (tab != null) tabId = tab.id;
@@ -2235,8 +3084,11 @@ class ArticlesTable {
     if (rowByArticleId.length === 0) {
       // article not in table - simply add it
       let article = new Article(articleInfo, tab);
-      article.init().then((a) => {
+      return article.init().then((a) => {
+        // group, maximum bid and auto-bid of imported items (see applyItemDefaults)
+        if (defaults != null && Object.keys(defaults).length > 0) ArticlesTable.applyItemDefaults(a, defaults);
         this.addArticle(a);
+        return a;
       });
     } else {
       // article in table - update it (do not update storage if not already exists)
@@ -2248,23 +3100,42 @@ class ArticlesTable {
     }
   }
 
-  // add items to BE from ebay watchlist or pasted from clipboard
-  async addItems(items = [], addFromWatchlist = false) {
+  /*
+   * add items to BE from ebay watchlist, search results or pasted from clipboard
+   * - watchLists: the eBay lists to import [{id, name}], default is the eBay watch list
+   * - each eBay list is mapped to the group with the same name
+   * - defaults: optional group and maximum bid for the added items (search results import)
+   * - defaults/items can specify the eBay platform (articlePlatform) of the items, e.g. from the search URL
+   */
+  async addItems(items = [], addFromWatchlist = false, watchLists = null, defaults = null) {
+    let source = addFromWatchlist ? Popup.getTranslation("popup_watchlist") : Popup.getTranslation("popup_clipboard");
+    if (defaults != null) source = Popup.getTranslation("popup_searchResults", ".eBay search results");
     try {
-      let articlePlatform = "ebay.com";
-      if (Popup.lang === "de") articlePlatform = "ebay.de";
-      // check for user defined platform
-      let options = await Popup.storage.getConfig({ ebayPlatform: null });
-      if (options.hasOwnProperty("ebayPlatform") && options.ebayPlatform != null && options.ebayPlatform !== "") {
-        articlePlatform = options.ebayPlatform;
-      }
+      const articlePlatform = await Popup.getEbayPlatformId();
+      // articleId -> group name
+      const groups = {};
       if (items.length === 0 && addFromWatchlist) {
-        items = await EbayParser.getWatchListItems(articlePlatform);
+        if (watchLists == null) watchLists = [{ id: "WATCH_LIST", name: null }];
+        for (const watchList of watchLists) {
+          const listItems = await EbayParser.getWatchListItems(articlePlatform, watchList.id);
+          for (const articleId of listItems) {
+            if (items.includes(articleId)) continue;
+            items.push(articleId);
+            groups[articleId] = ArticlesTable.getWatchListGroupName(watchList);
+          }
+        }
       }
       let addedCount = 0;
-      for (let articleId of items) {
+      for (const item of items) {
+        // item number, or entry with the values for this item (e.g. from pasted CSV lines)
+        const entry = typeof item === "object" ? item : { articleId: item };
+        const articleId = entry.articleId;
+        const itemDefaults = Object.assign({}, defaults, entry);
+        delete itemDefaults.articleId;
         const article = new Article({ articleId: articleId });
         article.articlePlatform = articlePlatform;
+        if (itemDefaults.articlePlatform != null) article.articlePlatform = itemDefaults.articlePlatform;
+        delete itemDefaults.articlePlatform;
         // check if article is already in table
         const row = this.getRow("#" + articleId);
         if (row != null && row.length === 1) {
@@ -2274,30 +3145,98 @@ class ArticlesTable {
         const articleInfo = await article.getRefreshedInfo().catch((e) => {
           console.log("Biet-O-Matic: Article %s updateInfo() failed: %s", article.articleId, e);
         });
-        if (!Popup.disableGroups && addFromWatchlist) {
-          // assign to group
-          article.articleGroup = Popup.getTranslation("generic_watchListGroupName", ".Watch List");
+        // assign to the group of the eBay list, unless a group was selected for the import
+        if (groups.hasOwnProperty(articleId) && (itemDefaults.articleGroup == null || itemDefaults.articleGroup === ""))
+          itemDefaults.articleGroup = groups[articleId];
+        const info = Object.assign({ articlePlatform: article.articlePlatform }, articleInfo, { articleId: articleId });
+        const added = await this.addOrUpdateArticle(info, null, false, itemDefaults);
+        // addOrUpdateArticle does not store new articles
+        if (added != null) {
+          added.updateInfoInStorage({}, null, false).catch((e) => {
+            console.log("Biet-O-Matic: addItems() failed to store article %s: %s", articleId, e);
+          });
+        }
+        addedCount++;
+      }
+      Popup.addUserMessage({
+        message: Popup.getTranslation("popup_addItemsSuccess", ".Added $1 items from the $2.", [
+          addedCount.toString(10),
+          source,
+        ]),
+        level: "success",
+        duration: 30_000,
+      });
+    } catch (e) {
+      console.log("Biet-O-Matic: addItems() failed: " + e);
+      Popup.addUserMessage({
+        message: Popup.getTranslation("popup_addItemsFailed", ".Failed to add items from the $1: $2", [
+          source,
+          e.message,
+        ]),
+        level: "error",
+        duration: 60_000,
+      });
+    }
+  }
+
+  /*
+   * Sync the items from the My eBay bids/offers list
+   * - items which are not in the table yet are added (with fresh info from eBay)
+   * - the max bid placed on eBay is taken over, unless the BE maximum bid is already higher
+   * - the high bidder state is shown next to the maximum bid
+   */
+  async syncBiddingList() {
+    const source = Popup.getTranslation("popup_bidsOffers", ".My eBay bids/offers");
+    try {
+      const articlePlatform = await Popup.getEbayPlatformId();
+      const items = await EbayParser.getBiddingItems(articlePlatform);
+      let addedCount = 0;
+      let updatedCount = 0;
+      for (const item of items) {
+        let row = this.getRow("#" + item.articleId);
+        const isNew = row == null || row.length !== 1;
+        if (isNew) {
+          // wait for each completion to prevent overloading cpu/network
+          const article = new Article({ articleId: item.articleId });
+          article.articlePlatform = articlePlatform;
+          const articleInfo = await article.getRefreshedInfo().catch((e) => {
+            console.log("Biet-O-Matic: syncBiddingList() Article %s refresh failed: %s", item.articleId, e);
+          });
+          if (articleInfo == null) continue;
+          articleInfo.articleId = item.articleId;
+          const added = await this.addOrUpdateArticle(articleInfo);
+          // addOrUpdateArticle does not store new articles
+          if (added != null) {
+            await added.updateInfoInStorage({}, null, false).catch((e) => {
+              console.log("Biet-O-Matic: syncBiddingList() failed to store article %s: %s", item.articleId, e);
+            });
+          }
+          row = this.getRow("#" + item.articleId);
+          if (row == null || row.length !== 1) continue;
         }
-        article.updateInfo(articleInfo, false);
-        this.addArticle(article);
-        article.updateInfoInStorage({}, null, false).catch((e) => {
-          console.log("Biet-O-Matic: addItems() failed to store article %s: %s", article.articleId, e);
-        });
-        addedCount++;
+        // the max bid placed on eBay and the high bidder state are applied through the regular update
+        const info = { articleId: item.articleId };
+        if (item.articleHighBidder != null) info.articleHighBidder = item.articleHighBidder;
+        if (item.articleMaxBid != null && (row.data().articleMaxBid == null || row.data().articleMaxBid < item.articleMaxBid))
+          info.articleMaxBid = item.articleMaxBid;
+        this.addOrUpdateArticle(info);
+        if (isNew) addedCount++;
+        else updatedCount++;
       }
       Popup.addUserMessage({
-        message: Popup.getTranslation("popup_addItemsSuccess", ".Added $1 items from the $2.", [
+        message: Popup.getTranslation("popup_syncBiddingListSuccess", ".Added $1 items from the $2, updated $3 items.", [
           addedCount.toString(10),
-          addFromWatchlist ? Popup.getTranslation("popup_watchlist") : Popup.getTranslation("popup_clipboard"),
+          source,
+          updatedCount.toString(10),
         ]),
         level: "success",
         duration: 30_000,
       });
     } catch (e) {
-      console.log("Biet-O-Matic: addItems() failed: " + e);
+      console.log("Biet-O-Matic: syncBiddingList() failed: " + e);
       Popup.addUserMessage({
         message: Popup.getTranslation("popup_addItemsFailed", ".Failed to add items from the $1: $2", [
-          addFromWatchlist ? Popup.getTranslation("popup_watchlist") : Popup.getTranslation("popup_clipboard"),
+          source,
           e.message,
         ]),
         level: "error",
@@ -2306,6 +3245,47 @@ class ArticlesTable {
     }
   }
 
+  /*
+   * set the group, maximum bid and auto-bid selected in the search results import, or pasted together with the item
+   * - called by addOrUpdateArticle for new items, the group can also be the one of the imported eBay list
+   * - the maximum bid is limited to the buy-it-now price (minus 1 cent), same as for the input in the table
+   * - auto-bid is only activated if possible for the item (canActivateAutoBid), otherwise this is logged
+   */
+  static applyItemDefaults(article, defaults) {
+    if (!Popup.disableGroups && defaults.articleGroup != null && defaults.articleGroup !== "")
+      article.articleGroup = defaults.articleGroup;
+    if (defaults.articleMaxBid == null || Number.isNaN(defaults.articleMaxBid) || defaults.articleMaxBid <= 0) return;
+    // buy-it-now only items cannot be bid on
+    if (!article.hasOwnProperty("articleBidPrice") || article.articleBidPrice == null) return;
+    article.articleMaxBid = defaults.articleMaxBid;
+    if (Popup.enableOddCents) article.articleMaxBid = Money.fromNumber(article.articleMaxBid).toOddCents().toNumber();
+    if (article.articleBuyPrice != null && article.articleMaxBid >= article.articleBuyPrice)
+      article.articleMaxBid = Money.fromNumber(article.articleBuyPrice).subtract(new Money(1)).toNumber();
+    if (defaults.articleAutoBid === false) article.articleAutoBid = false;
+    if (defaults.articleAutoBid !== true) return;
+    // same condition as for the autoBid checkbox in the table
+    if (article.canActivateAutoBid()) {
+      article.articleAutoBid = true;
+    } else {
+      article.addLog({
+        component: Popup.getTranslation("generic_item", ".Item"),
+        level: "Warning",
+        message: Popup.getTranslation(
+          "popup_autoBidNotActivated",
+          ".Auto-bid was not activated: the maximum bid is lower than the minimum bid, or no variation is selected."
+        ),
+      });
+    }
+  }
+
+  // the eBay watch list is mapped to the "Watch List" group, custom lists to a group with the list name
+  static getWatchListGroupName(watchList) {
+    if (watchList.id === "WATCH_LIST" || watchList.name == null)
+      return Popup.getTranslation("generic_watchListGroupName", ".Watch List");
+    // same limit as the group input field
+    return watchList.name.substring(0, 32);
+  }
+
   /*
    * User initiated cleanup of items
    * - group select (or all groups)
@@ -2429,6 +3409,8 @@ class ArticlesTable {
           img.alt = row.articleId;
           img.style.width = "100%";
           img.style.userSelect = "none";
+          // hovering shows the image gallery
+          img.classList.add("gallery-preview");
           div.appendChild(img);
         }
 
@@ -2462,6 +3444,8 @@ class ArticlesTable {
       div.appendChild(divDescr);
       if (row.hasOwnProperty("articleSeller")) {
         div.title = Popup.getTranslation("generic_seller", ".Seller") + ": " + row.articleSeller;
+        if (row.articleSellerMemberSince != null)
+          div.title += "\n" + Popup.getTranslation("popup_sellerMemberSince", ".Member since: $1", [row.articleSellerMemberSince]);
       }
 
       if (OptionCompactView.compactViewEnabled === false) {
@@ -2477,7 +3461,49 @@ class ArticlesTable {
   
           div.appendChild(span2);
           div.appendChild(a);
+          // seller reputation, e.g. (1234, 99.8% positive)
+          const reputation = row.getSellerReputation();
+          if (reputation != null) {
+            const span3 = document.createElement("span");
+            span3.textContent = " " + reputation;
+            if (row.articleSellerMemberSince != null)
+              span3.title = Popup.getTranslation("popup_sellerMemberSince", ".Member since: $1", [row.articleSellerMemberSince]);
+            div.appendChild(span3);
+          }
+        }
+      }
+      // variation selection
+      if (row.hasVariations()) {
+        const select = document.createElement("select");
+        select.id = "selVariation_" + row.articleId;
+        select.style.display = "block";
+        select.style.maxWidth = "100%";
+        select.title = Popup.getTranslation("popup_variationHint", ".Select the variation you are bidding on");
+        const optionNone = document.createElement("option");
+        optionNone.value = "";
+        optionNone.textContent = Popup.getTranslation("popup_variationSelect", ".-- Select variation --");
+        select.appendChild(optionNone);
+        if (Array.isArray(row.articleVariations)) {
+          row.articleVariations.forEach((variation) => {
+            const option = document.createElement("option");
+            option.value = variation.id;
+            option.textContent = variation.label;
+            if (variation.id === row.articleVariationId) option.setAttribute("selected", "selected");
+            select.appendChild(option);
+          });
+        } else {
+          // the variation list is not stored in the sync storage, it is shown again after the item refresh
+          select.setAttribute("disabled", "disabled");
+          select.title = Popup.getTranslation("popup_variationsNotLoaded", ".The variations are shown after the next item refresh");
+          if (row.articleVariationId != null) {
+            const option = document.createElement("option");
+            option.value = row.articleVariationId;
+            option.textContent = row.getVariationLabel();
+            option.setAttribute("selected", "selected");
+            select.appendChild(option);
+          }
         }
+        div.appendChild(select);
       }
       return div.outerHTML;  
     } catch (e) {
@@ -2519,7 +3545,9 @@ class ArticlesTable {
       inpMaxBid.id = "inpMaxBid_" + row.articleId;
       inpMaxBid.type = "number";
       inpMaxBid.min = "0";
-      inpMaxBid.step = "0.50";
+      // the arrows of the input change the maximum bid by the eBay bid increment
+      const bidIncrement = row.getBidIncrement();
+      inpMaxBid.step = bidIncrement == null ? "0.50" : bidIncrement.toFixed(2);
       inpMaxBid.defaultValue = Number.isNaN(maxBid) ? "" : Number.parseFloat(maxBid).toFixed(2);
       inpMaxBid.style.width = "60px";
       const labelAutoBid = document.createElement("label");
@@ -2555,12 +3583,17 @@ class ArticlesTable {
       if (row.articleEndTime - Date.now() > 0 && chkAutoBid.disabled) {
         inpMaxBid.classList.add("bomHighlightBorder");
         inpMaxBid.title = Popup.getTranslation("popup_enterMinAmount", ".Enter at least $1", [
-          row.articleMinimumBid.toString(),
+          String(row.getMinimumBid()),
         ]);
       } else {
         inpMaxBid.classList.remove("bomHighlightBorder");
         inpMaxBid.title = Popup.getTranslation("popup_minIncreaseReached", ".Required increase reached");
       }
+      if (bidIncrement != null) {
+        inpMaxBid.title += "\n" + Popup.getTranslation("popup_bidIncrement", ".Bid increment: $1", [
+          new Money(Math.round(bidIncrement * 100), row.articleCurrency).format(Popup.lang),
+        ]);
+      }
 
       // disable maxBid/autoBid if article ended
       if (row.articleEndTime - Date.now() <= 0) {
@@ -2572,6 +3605,17 @@ class ArticlesTable {
 
       divArticleMaxBid.appendChild(inpMaxBid);
       divArticleMaxBid.appendChild(labelAutoBid);
+      divArticleMaxBid.appendChild(ArticlesTable.renderBidTimeInput("inpBidTime_" + row.articleId, row.articleBidTime,
+        row.getBidTime(Popup.bidTime), inpMaxBid.disabled));
+      // high bidder state from the My eBay bids/offers sync
+      if (row.articleHighBidder != null && row.articleEndTime - Date.now() > 0) {
+        const spanHighBidder = document.createElement("span");
+        spanHighBidder.classList.add("fas", row.articleHighBidder ? "fa-trophy" : "fa-arrow-circle-down");
+        spanHighBidder.title = row.articleHighBidder
+          ? Popup.getTranslation("popup_highBidderYes", ".You are the high bidder")
+          : Popup.getTranslation("popup_highBidderNo", ".You have been outbid");
+        divArticleMaxBid.appendChild(spanHighBidder);
+      }
 
       return divArticleMaxBid.outerHTML;
     } catch (e) {
@@ -2586,6 +3630,29 @@ class ArticlesTable {
 
   }
 
+  /*
+   * input for the bid time override (article or group)
+   * - empty input: the bid time of the group or the global bid time is used, it is shown as placeholder
+   */
+  static renderBidTimeInput(id, bidTime, defaultBidTime, disabled = false) {
+    const inpBidTime = document.createElement("input");
+    inpBidTime.id = id;
+    inpBidTime.type = "number";
+    inpBidTime.min = Article.minBidTime.toString();
+    inpBidTime.max = Article.maxBidTime.toString();
+    inpBidTime.step = "1";
+    inpBidTime.style.width = "40px";
+    inpBidTime.defaultValue = Article.isValidBidTime(bidTime) ? bidTime.toString() : "";
+    inpBidTime.placeholder = defaultBidTime + "s";
+    inpBidTime.disabled = disabled;
+    inpBidTime.title = Popup.getTranslation(
+      "popup_bidTimeHint",
+      ".Bid time (seconds before the auction ends). If empty, $1 seconds are used.",
+      [defaultBidTime.toString()]
+    );
+    return inpBidTime;
+  }
+
   /*
    * Render row groups
    */
@@ -2664,6 +3731,45 @@ class ArticlesTable {
       labelGroupBidAll.appendChild(inputGroupBidAll);
       labelGroupBidAll.appendChild(spanGroupBidAll);
       td.appendChild(labelGroupBidAll);
+
+      // group bid time, used for all items of the group without own bid time
+      const inpGroupBidTime = ArticlesTable.renderBidTimeInput("inpGroupBidTime", Group.getStateCached(groupName).bidTime,
+        Popup.adaptiveBidTime == null ? Popup.bidTime : Popup.adaptiveBidTime);
+      inpGroupBidTime.setAttribute("name", groupName);
+      inpGroupBidTime.style.float = "right";
+      inpGroupBidTime.style.margin = "0.4em";
+      if (Popup.disableGroups) {
+        inpGroupBidTime.style.display = "none";
+      }
+      td.appendChild(inpGroupBidTime);
+
+      // group budget, the remaining budget (after won items) is shown in the title
+      const groupState = Group.getStateCached(groupName);
+      const inpGroupBudget = document.createElement("input");
+      inpGroupBudget.id = "inpGroupBudget";
+      inpGroupBudget.setAttribute("name", groupName);
+      inpGroupBudget.type = "number";
+      inpGroupBudget.min = "0";
+      inpGroupBudget.step = "0.01";
+      inpGroupBudget.style.width = "70px";
+      inpGroupBudget.style.float = "right";
+      inpGroupBudget.style.margin = "0.4em";
+      inpGroupBudget.defaultValue = groupState.budget == null ? "" : groupState.budget.toString();
+      inpGroupBudget.placeholder = Popup.getTranslation("popup_groupBudget", ".Budget");
+      inpGroupBudget.title = Popup.getTranslation("popup_groupBudgetHint", ".Budget of the group (empty: no budget)");
+      if (groupState.budget != null) {
+        inpGroupBudget.title +=
+          "\n" +
+          Popup.getTranslation("popup_groupBudgetRemaining", ".Remaining budget: $1 ($2 items won)", [
+            Money.fromNumber(Group.getRemainingBudget(groupName), groupState.budgetCurrency).format(Popup.lang),
+            Object.keys(Group.getWinsCached(groupName)).length.toString(),
+          ]);
+        if (Group.getRemainingBudget(groupName) <= 0) inpGroupBudget.classList.add("ui-state-error");
+      }
+      if (Popup.disableGroups) {
+        inpGroupBudget.style.display = "none";
+      }
+      td.appendChild(inpGroupBudget);
   
       // renderState will asynchronously add a class toggling enabled/disabled state
       Group.renderAutoBid("inpGroupAutoBid", groupName)
@@ -2746,8 +3852,53 @@ class ArticlesTable {
       table.style.width = "80%";
       // get log entries
       let log = article.getLog();
-      if (log == null) return "";
+      if (log == null && article.articleSpecifics == null && article.bidHistory == null) return "";
+      if (log == null) log = [];
       if (log.length < 5) div.style.height = null;
+
+      // item specifics (e.g. brand, model) above the log
+      if (article.articleSpecifics != null) {
+        div.appendChild(
+          ArticlesTable.renderArticleDetailsSection(
+            Popup.getTranslation("popup_itemSpecifics", ".Item specifics"),
+            Object.keys(article.articleSpecifics).map((key) => `${key}: ${article.articleSpecifics[key]}`)
+          )
+        );
+      }
+      // bid history summary and the latest bids
+      if (article.bidHistory != null && article.bidHistorySummary != null) {
+        const summary = article.bidHistorySummary;
+        const formatPrice = (price) => {
+          const money = Money.fromNumber(price, article.articleCurrency);
+          return money == null ? price : money.format(Popup.lang);
+        };
+        div.appendChild(
+          ArticlesTable.renderArticleDetailsSection(Popup.getTranslation("popup_bidHistory", ".Bid history"), [
+            Popup.getTranslation("popup_bidHistorySummary", ".$1 bids, $2 unique bidders, $3 bids in the last minute", [
+              summary.bidCount.toString(),
+              summary.uniqueBidders.toString(),
+              summary.lastMinuteBids.toString(),
+            ]),
+            Popup.getTranslation("popup_bidHistoryMaxProxyIncrement", ".Highest proxy increment: $1", [
+              summary.maxProxyIncrement != null ? formatPrice(summary.maxProxyIncrement).toString() : "-",
+            ]),
+          ])
+        );
+        const bids = article.bidHistory
+          .slice()
+          .sort((a, b) => b.timestamp - a.timestamp)
+          .slice(0, 10)
+          .map((bid) => {
+            let text = `${bid.bidder}: ${formatPrice(bid.amount)} (${format(bid.timestamp, "Pp", { locale: Popup.locale })}`;
+            if (bid.automatic) text += ", " + Popup.getTranslation("popup_bidHistoryAutomatic", ".automatic");
+            return text + ")";
+          });
+        if (bids.length > 0)
+          div.appendChild(
+            ArticlesTable.renderArticleDetailsSection(Popup.getTranslation("popup_bidHistoryLatestBids", ".Latest bids"), bids)
+          );
+      }
+
       // iterate log array in reverse order (newest first)
       log
         .slice()
@@ -2786,13 +3937,101 @@ class ArticlesTable {
       Popup.addUserMessage({
         level: "error",
         message: Popup.getTranslation("generic_internalError", ".Internal Error") + ` in renderArticleLog(): ${e.message}`,
-        title: row.hasOwnProperty("articleId") ? Popup.getTranslation("generic_item", ".Item") + " " + row.articleId : undefined,
+        title: Popup.getTranslation("generic_item", ".Item") + " " + article.articleId,
         duration: 60_000,
       });
       return "";
     }
   }
 
+  // returns the currency of the first item of the group in the table, null if not known
+  getGroupCurrency(name) {
+    let currency = null;
+    this.DataTable.rows().every((index) => {
+      const article = this.DataTable.row(index).data();
+      const groupName = article.articleGroup == null ? $.fn.DataTable.RowGroup.defaults.emptyDataGroup : article.articleGroup;
+      if (currency == null && groupName === name && article.articleCurrency != null) currency = article.articleCurrency;
+    });
+    return currency;
+  }
+
+  /*
+   * Show the gallery images of the article next to the hovered image
+   * - the large image can be switched by hovering the thumbnails
+   * - the lightbox is closed shortly after the mouse left the image or the lightbox, or by click
+   */
+  static showLightbox(article, target) {
+    let images = article.articleImages;
+    if (!Array.isArray(images) || images.length === 0) {
+      if (article.articleImage == null) return;
+      images = [article.articleImage];
+    }
+    ArticlesTable.hideLightbox();
+    const lightbox = document.createElement("div");
+    lightbox.id = "lightbox";
+    const rect = target.getBoundingClientRect();
+    lightbox.style.left = rect.right + 5 + "px";
+    lightbox.style.top = Math.max(10, rect.top - 100) + "px";
+
+    const imgLarge = document.createElement("img");
+    imgLarge.classList.add("lightbox-image");
+    imgLarge.src = images[0];
+    imgLarge.alt = article.articleId;
+    lightbox.appendChild(imgLarge);
+
+    if (images.length > 1) {
+      const divThumbnails = document.createElement("div");
+      divThumbnails.classList.add("lightbox-thumbnails");
+      images.forEach((url) => {
+        const img = document.createElement("img");
+        img.src = url;
+        img.alt = article.articleId;
+        img.addEventListener("mouseenter", () => {
+          imgLarge.src = url;
+        });
+        divThumbnails.appendChild(img);
+      });
+      lightbox.appendChild(divThumbnails);
+    }
+    // the mouse has to cross the gap between image and lightbox, so the lightbox is hidden with a delay
+    lightbox.addEventListener("mouseenter", () => {
+      window.clearTimeout(ArticlesTable.lightboxHideTimer);
+    });
+    lightbox.addEventListener("mouseleave", ArticlesTable.hideLightboxDelayed);
+    lightbox.addEventListener("click", ArticlesTable.hideLightbox);
+    document.body.appendChild(lightbox);
+  }
+
+  static hideLightbox() {
+    window.clearTimeout(ArticlesTable.lightboxHideTimer);
+    const lightbox = document.getElementById("lightbox");
+    if (lightbox != null) lightbox.remove();
+  }
+
+  static hideLightboxDelayed() {
+    window.clearTimeout(ArticlesTable.lightboxHideTimer);
+    ArticlesTable.lightboxHideTimer = window.setTimeout(ArticlesTable.hideLightbox, ArticlesTable.lightboxHideDelay);
+  }
+
+  /*
+   * Render a section of the article details (shown above the log)
+   * e.g. "Item specifics: Brand: Apple | Model: iPhone 8"
+   */
+  static renderArticleDetailsSection(title, entries = []) {
+    const div = document.createElement("div");
+    div.style.paddingLeft = "50px";
+    div.style.paddingBottom = "5px";
+    div.style.width = "80%";
+    const spanTitle = document.createElement("span");
+    spanTitle.style.fontWeight = "bold";
+    spanTitle.textContent = title + ": ";
+    div.appendChild(spanTitle);
+    const spanEntries = document.createElement("span");
+    spanEntries.textContent = entries.join(" | ");
+    div.appendChild(spanEntries);
+    return div;
+  }
+
   /*
    * Render Article Bid Price
    * - when articleBidPrice is empty, use articleBuyPrice (Sofortkauf)
@@ -2829,13 +4068,9 @@ class ArticlesTable {
     }
     try {
       const span = document.createElement("span");
-      let priceInfo = EbayParser.parsePriceString(data);
+      let priceInfo = EbayParser.parsePriceString(data, null, row.getPlatform().locale);
       if (priceInfo.price !== null && row.hasOwnProperty("articleCurrency")) {
-        try {
-          span.textContent = Intl.NumberFormat(Popup.lang, { style: "currency", currency: row.articleCurrency }).format(priceInfo.price);
-        } catch (e) {
-          span.textContent = data;
-        }
+        span.textContent = Money.fromNumber(priceInfo.price, row.articleCurrency).format(Popup.lang);
       } else {
         span.textContent = data;
       }
@@ -2924,8 +4159,8 @@ class ArticlesTable {
       return "";
     }
     try {
-      // check if there are logs, then show plus if the log view is closed, else minus
-      if (row.getLog() != null) {
+      // check if there are logs or details, then show plus if the log view is closed, else minus
+      if (row.getLog() != null || row.articleSpecifics != null || row.articleBidCount > 0) {
         const div = document.createElement("div");
         div.style.textAlign = "center";
         const span = document.createElement("span");
@@ -3279,10 +4514,22 @@ class ArticlesTable {
       const timeLeftSeconds = (article.articleEndTime - Date.now()) / 1000;
       // default bid time of 10 seconds before auction ends
       let bidTime = 10;
-      let options = await Popup.storage.getConfig({ bidTime: null });
+      let options = await Popup.storage.getConfig({ bidTime: null, enableTablessBidding: false });
       if (options.hasOwnProperty("bidTime") && options.bidTime != null && Number.isInteger(options.bidTime)) {
         bidTime = options.bidTime;
       }
+      // the bid time can be overridden per group and article
+      bidTime = article.getBidTime(bidTime);
+      // rehearse the bid some minutes before, while there is still time to fix problems
+      if (
+        timeLeftSeconds > 60 + bidTime &&
+        timeLeftSeconds * 1000 <= BidRehearsal.leadTime + bidTime * 1000 &&
+        BidRehearsal.isDue(article) &&
+        article.articleMaxBid != null &&
+        BidPrecheck.isAutoBidActive(article.getAutoBidState())
+      ) {
+        await BidRehearsal.run(article);
+      }
       // skip if articleEndTime is in the past or the bidding process is not yet due
       if (timeLeftSeconds < 0 || timeLeftSeconds > (60 + bidTime)) {
         //console.debug("Biet-O-Matic: openArticleTabsForBidding() Skip article %s, not ending within 60s: %ss",
@@ -3335,6 +4582,27 @@ class ArticlesTable {
           ),
         });
         shouldOpenTab = false;
+      } else if (autoBidState.groupBudgetExceeded === true) {
+        console.debug(
+          "Biet-O-Matic: openArticleTabsForBidding() Skip article %s, Group '%s' budget exceeded",
+          article.articleId,
+          article.articleGroup
+        );
+        article.addLog({
+          component: Popup.getTranslation("cs_bidding", ".Bidding"),
+          level: "Info",
+          message: Popup.getTranslation(
+            "popup_groupBudgetExceeded",
+            ".Skip, the maximum bid of $1 $3 exceeds the remaining budget of $2 $3 of group $4.",
+            [
+              article.getBudgetAmount(),
+              Group.getRemainingBudget(article.articleGroup),
+              article.articleCurrency,
+              autoBidState.groupName,
+            ]
+          ),
+        });
+        shouldOpenTab = false;
       } else if (article.canActivateAutoBid() === false && article.offerTabId == null) {
         console.debug(
           "Biet-O-Matic: openArticleTabsForBidding() Skip article %s, canActivateAutoBid returned false",
@@ -3346,7 +4614,7 @@ class ArticlesTable {
           message: Popup.getTranslation(
             "popup_articlePriceTooLow",
             ".Skip, own offer of $1 $3 is lower than minimum bid of $2 $3.",
-            [article.articleMaxBid, article.articleMinimumBid, article.articleCurrency]
+            [article.articleMaxBid, article.getMinimumBid(), article.articleCurrency]
           ),
         });
         shouldOpenTab = false;
@@ -3371,6 +4639,19 @@ class ArticlesTable {
         }
       }
 
+      // bid without offer tab, if the bid cannot be prepared the offer tab is used
+      if (shouldOpenTab && options.enableTablessBidding) {
+        if (TablessBid.isActive(article.articleId)) {
+          console.debug(
+            "Biet-O-Matic: openArticleTabsForBidding() Skip article %s, bid without offer tab is prepared",
+            article.articleId
+          );
+          shouldOpenTab = false;
+        } else {
+          shouldOpenTab = !(await TablessBid.start(article, bidTime));
+        }
+      }
+
       // open tab
       if (shouldOpenTab) {
         console.debug("Biet-O-Matic: openArticleTabsForBiddingAsync() Article %s Opening tab now.", article.articleId);
@@ -3426,6 +4707,72 @@ class ArticlesTable {
     }, 300_000);
   }
 
+  /*
+   * Regularly reconcile the auction results of ended articles with My eBay (every 30 minutes)
+   * - uses the same option as the regular article refresh, but runs irrespective of the window autoBid state
+   */
+  static async regularReconcileAuctionResults() {
+    const reconcile = () => {
+      Popup.storage
+        .getConfig({ disableArticleRefresh: false })
+        .then((globalOptions) => {
+          if (!globalOptions.disableArticleRefresh) return ArticlesTable.reconcileAuctionResults();
+        })
+        .catch((e) => {
+          console.warn("Biet-O-Matic: regularReconcileAuctionResults() Internal Error: " + e);
+        });
+    };
+    window.setTimeout(reconcile, 60_000);
+    window.setInterval(reconcile, 1_800_000);
+  }
+
+  /*
+   * Set the final auction state of ended articles from the My eBay "Won" and "Didn't win" lists
+   * - only auctions which ended within the last month and are not confirmed yet are checked
+   * - the lists are fetched once per eBay platform
+   */
+  static async reconcileAuctionResults() {
+    if (Popup.table == null) return;
+    // platform id -> [articles]
+    const articlesByPlatform = {};
+    Popup.table.DataTable.rows().every((index) => {
+      const article = Popup.table.DataTable.row(index).data();
+      if (article.auctionEndStateConfirmed === true || article.articleEndTime == null) return;
+      if (article.articleEndTime > Date.now() || Date.now() - article.articleEndTime > 2_629_800 * 1000) return;
+      // buy-it-now items have no auction result
+      if (!article.hasOwnProperty("articleBidPrice") || article.articleBidPrice == null) return;
+      const platformId = article.getPlatform().id;
+      if (!articlesByPlatform.hasOwnProperty(platformId)) articlesByPlatform[platformId] = [];
+      articlesByPlatform[platformId].push(article);
+    });
+    for (const platformId of Object.keys(articlesByPlatform)) {
+      try {
+        const results = await EbayParser.getAuctionResults(platformId);
+        console.debug(
+          "Biet-O-Matic: reconcileAuctionResults(%s) won=%s, lost=%s",
+          platformId,
+          results.won.join(","),
+          results.lost.join(",")
+        );
+        for (const article of articlesByPlatform[platformId]) {
+          if (results.won.includes(article.articleId))
+            await article.setConfirmedAuctionEndState(EbayParser.auctionEndStates.purchased.id);
+          else if (results.lost.includes(article.articleId)) {
+            // keep a specific non-win state (e.g. reserve not met), only an unknown state or a wrong win becomes overbid
+            const keepState =
+              article.auctionEndState != null &&
+              article.auctionEndState !== EbayParser.auctionEndStates.purchased.id;
+            await article.setConfirmedAuctionEndState(
+              keepState ? article.auctionEndState : EbayParser.auctionEndStates.overbid.id
+            );
+          }
+        }
+      } catch (e) {
+        console.log("Biet-O-Matic: reconcileAuctionResults(%s) failed: %s", platformId, e);
+      }
+    }
+  }
+
   static refreshArticleInfo(useRateLimit = true) {
     // check if autoBid is enabled
     const localState = AutoBid.getLocalState();
@@ -3465,6 +4812,8 @@ class ArticlesTable {
    * - getAutoBidState: returns the state of window and group autoBid for the given articleId
    * - getBidLockState: returns the state of bid lock
    * - addArticleLog: from content script to store log info for article
+   * - addBidTiming: from content script, structured timings of a submitted bid (see BidTiming.js)
+   * - ebayArticleBidRetry: from content script, decide if a failed bid should be retried
    *
    * - browser.tabs.updated: reloaded/new url
    * - browser.tabs.removed: Tab closed
@@ -3689,6 +5038,20 @@ class ArticlesTable {
             throw new Error(e);
           }
           break;
+        case "addBidTiming":
+          if (Popup.currentWindowId === sender.tab.windowId) {
+            console.debug("Biet-O-Matic: Browser Event addBidTiming received from tab %s", sender.tab.id);
+            return Popup.addBidTiming(request.detail);
+          }
+          break;
+        case "ebayArticleBidRetry":
+          if (Popup.currentWindowId === sender.tab.windowId) {
+            const row = this.getRow("#" + request.articleId);
+            if (typeof row === "undefined" || row.length !== 1)
+              return Promise.reject("ebayArticleBidRetry: articleId invalid:" + request.articleId);
+            return row.data().checkBidRetry(request.detail.attempt, request.detail.reason);
+          }
+          break;
         case "ebayArticleSetAuctionEndState":
           try {
             if (Popup.currentWindowId === sender.tab.windowId) {
@@ -3779,7 +5142,7 @@ class ArticlesTable {
       try {
         if (Popup.currentWindowId === tabInfo.windowId) {
           // "https://www.ebay.de/c/18021266829#oid184096781363"
-          const ebayRecommendationUrl = /(www\.ebay\.[a-z]{1,3})\/c\/([0-9]+)#oid([0-9]+)/;
+          const ebayRecommendationUrl = /(www\.ebay\.[a-z.]{2,6})\/c\/([0-9]+)#oid([0-9]+)/;
           if (
             changeInfo.status === "loading" &&
             tabInfo.hasOwnProperty("url") &&
@@ -3862,6 +5225,13 @@ class ArticlesTable {
     browser.storage.onChanged.addListener((changes, area) => {
       //console.debug("Biet-O-Matic: Event.StorageChanged(%s) changed: %s", area, JSON.stringify(changes));
 
+      // the adaptive bid time option has been changed on the options page
+      if (area === "sync" && changes.hasOwnProperty("enableAdaptiveBidTime")) {
+        Popup.updateBidTimeSuggestion().catch((e) => {
+          console.log("Biet-O-Matic: updateBidTimeSuggestion() failed: " + e);
+        });
+      }
+
       // {"SETTINGS":{
       // "newValue":{"autoBid":{"autoBidEnabled":true,"id":"kfpgnpfmingbecjejgnjekbadpcggeae:1166"}},
       // "oldValue":{"autoBid":{"autoBidEnabled":true,"id":"kfpgnpfmingbecjejgnjekbadpcggeae:138"}}}}
@@ -3883,6 +5253,13 @@ class ArticlesTable {
         // {"333462193472":{
         // "oldValue":{"articleAuctionState":"...}}}
         // "newValue":... (not if removed)
+        // won amounts of a group, updated by another instance of BE
+        if (key.startsWith(Group.winsKeyPrefix)) {
+          const groupName = key.slice(Group.winsKeyPrefix.length);
+          if (changes[key].hasOwnProperty("newValue")) Popup.cachedGroupWins[groupName] = changes[key].newValue;
+          else delete Popup.cachedGroupWins[groupName];
+          return;
+        }
         if (/[0-9]+/.test(key)) {
           if (changes[key].hasOwnProperty("newValue")) {
             console.info(`Biet-O-Matic: Browser storage.${area} settings changed for article ${key} -> addOrUpdate article`);
@@ -3917,10 +5294,19 @@ class ArticlesTable {
         pastedText = window.clipboardData.getData('Text');
       }
       console.debug("Biet-O-Matic: Text pasted: '%s' (Target Element %s)", pastedText, e.target);
-      const items = EbayParser.parseItemNumberFromText(pastedText);
+      // a pasted search results or seller store URL opens the import preview
+      if (EbayPlatform.isSearchUrl(pastedText.trim())) {
+        if (!Popup.checkRateLimit("addItems", "search", 5000)) {
+          Popup.openSearchImportDialog(pastedText.trim()).catch((e) => {
+            console.log("Biet-O-Matic: Popup.openSearchImportDialog() failed: " + e);
+          });
+        }
+        return;
+      }
       if (!Popup.checkRateLimit("addItems", "clipboard", 5000)) {
-        Popup.table
-        .addItems(items, false)
+        // item numbers, item URLs or CSV lines with maximum bid, group and auto-bid
+        EbayParser.parseItemNumberFromText(pastedText, Popup.lang)
+        .then((items) => Popup.table.addItems(items, false))
         .catch((e) => {
           console.log("Biet-O-Matic: Popup.table.addItems() failed: " + e);
         });
@@ -3976,7 +5362,11 @@ class ArticlesTable {
     this.DataTable.on("change", "tr input", (e) => {
       //console.debug('Biet-O-Matic: configureUi() INPUT Event this=%O', e);
       // parse articleId from id of both inputs
-      const articleId = e.target.id.replace("chkAutoBid_", "").replace("inpMaxBid_", "").replace("inpGroup_", "");
+      const articleId = e.target.id
+        .replace("chkAutoBid_", "")
+        .replace("inpMaxBid_", "")
+        .replace("inpGroup_", "")
+        .replace("inpBidTime_", "");
 
       // determine row by articleId
       let row = this.getRow("#" + articleId);
@@ -3988,17 +5378,26 @@ class ArticlesTable {
         if (e.target.id.startsWith("inpMaxBid_")) {
           // maxBid was entered
           // normally with input type=number this should not be necessary - but there was a problem reported...
-          info.articleMaxBid = Number.parseFloat(e.target.value.replace(/,/, "."));
-          if (Number.isNaN(article.articleMaxBid)) {
+          // the value of input type=number always uses "." as decimal separator
+          info.articleMaxBid = Money.parseNumber(e.target.value, "en-US");
+          if (Number.isNaN(info.articleMaxBid)) {
             info.articleMaxBid = 0;
           }
+          // optionally round up to odd cents, e.g. 25.00 -> 25.17
+          if (Popup.enableOddCents && info.articleMaxBid > 0) {
+            info.articleMaxBid = Money.fromNumber(info.articleMaxBid).toOddCents().toNumber();
+          }
           // check if maxBid > buyPrice (sofortkauf), then adjust it to the buyprice - 1 cent
           if (article.hasOwnProperty("articleBuyPrice") && info.articleMaxBid >= article.articleBuyPrice) {
-            info.articleMaxBid = Math.round((article.articleBuyPrice - 0.01) * 100) / 100;
+            info.articleMaxBid = Money.fromNumber(article.articleBuyPrice).subtract(new Money(1)).toNumber();
           }
         } else if (e.target.id.startsWith("chkAutoBid_")) {
           // autoBid checkbox was clicked
           info.articleAutoBid = e.target.checked;
+        } else if (e.target.id.startsWith("inpBidTime_")) {
+          // bid time override, empty to use the group or global bid time
+          const bidTime = Number.parseInt(e.target.value, 10);
+          info.articleBidTime = Article.isValidBidTime(bidTime) ? bidTime : null;
         } else if (e.target.id.startsWith("inpGroup_")) {
           // group has been updated
           if (e.target.value === "" || e.target.value === $.fn.DataTable.RowGroup.defaults.emptyDataGroup)
@@ -4014,6 +5413,58 @@ class ArticlesTable {
       }
     });
 
+    // group bid time and budget inputs
+    this.DataTable.on("change", "tr.row-group input", (e) => {
+      const name = e.target.getAttribute("name");
+      let promise;
+      if (e.target.id === "inpGroupBidTime") {
+        const bidTime = Number.parseInt(e.target.value, 10);
+        promise = Group.setBidTime(name, Article.isValidBidTime(bidTime) ? bidTime : null);
+      } else if (e.target.id === "inpGroupBudget") {
+        // input type=number always uses "." as decimal separator
+        const budget = e.target.value === "" ? Number.NaN : Money.parseNumber(e.target.value, "en-US");
+        // the budget is kept in the currency of the group items, or of the eBay platform if the group has no items
+        promise = Popup.getEbayPlatformId().then((platformId) =>
+          Group.setBudget(
+            name,
+            Number.isNaN(budget) || budget < 0 ? null : budget,
+            this.getGroupCurrency(name) || EbayPlatform.get(platformId).currency
+          )
+        );
+      } else {
+        return;
+      }
+      promise
+        .then(() => Popup.redrawTable(false))
+        .catch((e) => {
+          console.log("Biet-O-Matic: Failed to set group '%s' settings: %s", name, e.message);
+        });
+    });
+
+    // image gallery lightbox, shown while hovering the item image
+    this.DataTable.on("mouseenter", "img.gallery-preview", (e) => {
+      const row = this.getRow($(e.target).closest("tr"));
+      if (row == null || row.length !== 1) return;
+      ArticlesTable.showLightbox(row.data(), e.target);
+    });
+    this.DataTable.on("mouseleave", "img.gallery-preview", (e) => {
+      // keep the lightbox open when the mouse moved into it
+      if (e.relatedTarget != null && $(e.relatedTarget).closest("#lightbox").length > 0) return;
+      ArticlesTable.hideLightboxDelayed();
+    });
+
+    // variation select
+    this.DataTable.on("change", "tr select", (e) => {
+      if (!e.target.id.startsWith("selVariation_")) return;
+      const articleId = e.target.id.replace("selVariation_", "");
+      const row = this.getRow("#" + articleId);
+      if (row == null || row.length !== 1) return;
+      const info = { articleVariationId: e.target.value === "" ? null : e.target.value };
+      // the autoBid requires a selected variation
+      if (info.articleVariationId == null) info.articleAutoBid = false;
+      this.updateArticle(info, row, { informTab: true });
+    });
+
     // datatable length change
     this.DataTable.on("length.dt", function (e, settings, len) {
       Popup.updateSetting({ articlesTableLength: len });
@@ -4052,6 +5503,10 @@ class ArticlesTable {
           span.title = Popup.getTranslation("popup_hide_articleEvents", ".Hide article events");
           row.child(ArticlesTable.renderArticleLog(row.data())).show();
           row.data().articleDetailsShown = true;
+          // the bid history will be added to the details when received
+          row.data().updateBidHistory().catch((e) => {
+            console.log("Biet-O-Matic: updateBidHistory(%s) failed: %s", row.data().articleId, e);
+          });
         }
       }
     });
@@ -4091,6 +5546,8 @@ class ArticlesTable {
      * e.currenTarget is the row, e.target can be span, label, i
      */
     this.DataTable.on("click", "tr.row-group", (e) => {
+      // the group bid time and budget inputs are handled by the change event
+      if (e.target.id === "inpGroupBidTime" || e.target.id === "inpGroupBudget") return;
       e.preventDefault();
       if ("name" in e.currentTarget.dataset) {
         const name = e.currentTarget.dataset.name;
@@ -4172,6 +5629,10 @@ class ArticlesTable {
   //endregion
 } // end of ArticlesTable class
 
+ArticlesTable.lightboxHideTimer = null;
+// ms until the lightbox is hidden after the mouse left the image or the lightbox
+ArticlesTable.lightboxHideDelay = 300;
+
 class Popup {
   constructor(version = "v0.0.0") {
     // BOM-BE version
@@ -4225,7 +5686,13 @@ class Popup {
 
     Popup.disableGroups = false;
     // read options from sync storage (irrespective of user storage selection)
-    const options = await browser.storage.sync.get({ disableGroups: null, enableLocalMode: null });
+    const options = await browser.storage.sync.get({
+      disableGroups: null,
+      enableLocalMode: null,
+      enableOddCents: false,
+      budgetIncludesShipping: false,
+      bidTime: 10,
+    });
     if (options.hasOwnProperty("disableGroups") && options.disableGroups != null && options.disableGroups !== "") {
       console.log("Biet-O-Matic: Popup.init() - User disabled groups.");
       Popup.disableGroups = options.disableGroups;
@@ -4240,9 +5707,19 @@ class Popup {
       Popup.enableLocalMode = options.enableLocalMode;
     }
 
+    Popup.enableOddCents = options.enableOddCents === true;
+    Popup.budgetIncludesShipping = options.budgetIncludesShipping === true;
+    // global bid time, shown if no group or article bid time is set
+    Popup.bidTime = Number.isInteger(options.bidTime) ? options.bidTime : 10;
+
     Popup.storage = new BomStorage(Popup.enableLocalMode);
 
     Popup.cachedGroups = await Group.getAll();
+    Popup.cachedGroupWins = await Group.getAllWins();
+    // the last clock offset estimate is used until the next clock check (e.g. if the check is disabled)
+    const localResult = await browser.storage.local.get({ clockOffset: null });
+    Popup.clockOffset = localResult.clockOffset;
+    if (Popup.clockOffset != null) Popup.updateClockOffset(Popup.clockOffset);
     Popup.lang = navigator.languages ? navigator.languages[0] : navigator.language;
     // just store the first part (en-US -> en)
     Popup.lang = Popup.lang.slice(0, 2);
@@ -4301,6 +5778,66 @@ class Popup {
       },
     });
 
+    Popup.watchListDialog = $("#dialog-form3").dialog({
+      autoOpen: false,
+      height: "auto",
+      width: 400,
+      resizable: false,
+      modal: true,
+      buttons: [
+        {
+          text: Popup.getTranslation("popup_import", ".Import"),
+          click: function () {
+            const watchLists = [];
+            $("#watchLists input:checked").each((index, element) => {
+              watchLists.push({ id: element.value, name: element.dataset.name });
+            });
+            $(this).dialog("close");
+            if (watchLists.length === 0) return;
+            Popup.table.addItems([], true, watchLists).catch((e) => {
+              console.log("Biet-O-Matic: Popup.table.addItems() failed: " + e);
+            });
+          },
+        },
+      ],
+    });
+
+    Popup.searchImportDialog = $("#dialog-form4").dialog({
+      autoOpen: false,
+      height: "auto",
+      maxHeight: 600,
+      width: 600,
+      resizable: false,
+      modal: true,
+      buttons: [
+        {
+          text: Popup.getTranslation("popup_import", ".Import"),
+          click: function () {
+            const items = [];
+            $("#searchResults input:checked").each((index, element) => {
+              items.push(element.value);
+            });
+            const defaults = {
+              // the platform of the search URL, not the default platform
+              articlePlatform: Popup.searchImportPlatform,
+              articleGroup: $("#searchImportGroup").val().trim(),
+              // the value of input type=number always uses "." as decimal separator
+              articleMaxBid: Money.parseNumber($("#searchImportMaxBid").val(), "en-US"),
+            };
+            $(this).dialog("close");
+            if (items.length === 0) return;
+            Popup.table.addItems(items, false, null, defaults).catch((e) => {
+              console.log("Biet-O-Matic: Popup.table.addItems() failed: " + e);
+            });
+          },
+        },
+      ],
+      close: function () {
+        Popup.searchImportDialog.find("form")[0].reset();
+        $("#searchResults").empty();
+      },
+    });
+
     Popup.importDialog = $("#dialog-form2").dialog({
       autoOpen: false,
       height: "auto",
@@ -4340,6 +5877,9 @@ class Popup {
     Popup.checkBrowserStorage();
     // immediately perform closed item refresh on init
     ArticlesTable.refreshArticleInfo(false);
+    await Popup.updateBidTimeSuggestion().catch((e) => {
+      console.log("Biet-O-Matic: updateBidTimeSuggestion() failed: " + e);
+    });
     await Popup.regularCheckEbayTime().catch((e) => {
       console.log("Biet-O-Matic: regularCheckEbayTime() failed: " + e);
     });
@@ -4347,7 +5887,8 @@ class Popup {
 
   /*
    * Regular check of computer time
-   * - will display a notification if the time difference is > 1s
+   * - the measured offset is stored and compensated by the offer tab when bidding
+   * - will display a notification if the time difference is > 3s
    */
   static async regularCheckEbayTime() {
     try {
@@ -4357,9 +5898,16 @@ class Popup {
         console.log("Biet-O-Matic: Regular clock check has been deactivated by user.");
         return;
       }
-      // Note: getEbayTimeDifference has a precision of 1s or more
-      const diff = await EbayParser.getEbayTimeDifference();
-      if (diff < -1000 || diff > 5000) {
+      // multiple samples are taken, the precision is usually around +/- 100ms
+      const estimate = await EbayParser.estimateEbayTimeOffset();
+      // the offset is stored locally (not synchronized, it is specific to this computer) and used for bid timing
+      await browser.storage.local.set({ clockOffset: estimate });
+      Popup.clockOffset = estimate;
+      Popup.updateClockOffset(estimate);
+      // the clock offset accuracy is part of the bid time suggestion
+      await Popup.updateBidTimeSuggestion();
+      const diff = estimate.offset;
+      if (Math.abs(diff) > Popup.maxClockOffsetWithoutWarning) {
         Popup.addUserMessage({
           message: Popup.getTranslation(
             "popup_timeDiff1",
@@ -4380,6 +5928,184 @@ class Popup {
     }
   }
 
+  // the measured clock offset in ms, 0 if not measured recently or too large (same as in the offer tab)
+  static getClockOffset() {
+    const estimate = Popup.clockOffset;
+    if (estimate == null || Date.now() - estimate.timestamp > Popup.clockOffsetMaxAge) return 0;
+    if (Math.abs(estimate.offset) > Popup.clockOffsetMax) return 0;
+    return estimate.offset;
+  }
+
+  // show the current clock offset in the footer, e.g. "+0.25s (±0.08s)"
+  static updateClockOffset(estimate) {
+    const seconds = (estimate.offset / 1000).toFixed(2);
+    $("#clockOffset")
+      .text(`${estimate.offset > 0 ? "+" : ""}${seconds}s (±${(estimate.accuracy / 1000).toFixed(2)}s)`)
+      .attr(
+        "title",
+        Popup.getTranslation(
+          "popup_clockOffsetTitle",
+          ".Difference of the system clock to the eBay time, measured at $1. It is compensated automatically when bidding.",
+          [format(estimate.timestamp, "HH:mm:ss")]
+        )
+      );
+    $("#clockOffsetDiv").show();
+  }
+
+  // store the timings of a bid, and update the bid time suggestion
+  static async addBidTiming(measurement) {
+    try {
+      await BidTiming.addMeasurement(measurement);
+      await Popup.updateBidTimeSuggestion();
+    } catch (e) {
+      console.log("Biet-O-Matic: Popup.addBidTiming() failed: " + e);
+    }
+  }
+
+  /*
+   * determine the bid time suggestion from the measured bid timings
+   * - if the option "enableAdaptiveBidTime" is set, it replaces the global bid time
+   */
+  static async updateBidTimeSuggestion() {
+    const options = await Popup.storage.getConfig({ enableAdaptiveBidTime: false });
+    const suggestion = await BidTiming.getSuggestion();
+    const adaptiveBidTime = options.enableAdaptiveBidTime === true && suggestion != null ? suggestion.bidTime : null;
+    if (adaptiveBidTime !== Popup.adaptiveBidTime) {
+      console.log("Biet-O-Matic: Adaptive bid time changed from %s to %s", Popup.adaptiveBidTime, adaptiveBidTime);
+      Popup.adaptiveBidTime = adaptiveBidTime;
+    }
+    if (suggestion == null) return;
+    $("#bidTimeSuggestion")
+      .text(
+        Popup.getTranslation("popup_bidTimeSuggestion", ".$1s suggested", [suggestion.bidTime.toString()]) +
+          (adaptiveBidTime != null ? " (" + Popup.getTranslation("popup_bidTimeAdaptive", ".applied") + ")" : "")
+      )
+      .attr(
+        "title",
+        Popup.getTranslation(
+          "popup_bidTimeSuggestionTitle",
+          ".Suggested bid time, based on the timings of the last $1 bids (max. $2ms until the bid reached eBay) and the clock offset accuracy.",
+          [suggestion.samples.toString(), suggestion.lead.toString()]
+        )
+      );
+    $("#bidTimeSuggestionDiv").show();
+  }
+
+  // the eBay platform used for the watch list, can be overridden in the options
+  static async getEbayPlatformId() {
+    let platformId = EbayPlatform.getDefaultId(Popup.lang);
+    const options = await Popup.storage.getConfig({ ebayPlatform: null });
+    if (options.hasOwnProperty("ebayPlatform") && options.ebayPlatform != null && options.ebayPlatform !== "") {
+      platformId = options.ebayPlatform;
+    }
+    return platformId;
+  }
+
+  /*
+   * Import from the eBay watch list
+   * - if the user has custom lists, the lists to import can be selected in a dialog
+   * - else the watch list is imported directly
+   */
+  static async openWatchListDialog() {
+    let watchLists;
+    try {
+      watchLists = await EbayParser.getWatchLists(await Popup.getEbayPlatformId());
+    } catch (e) {
+      Popup.addUserMessage({
+        message: Popup.getTranslation("popup_addItemsFailed", ".Failed to add items from the $1: $2", [
+          Popup.getTranslation("popup_watchlist"),
+          e.message,
+        ]),
+        level: "error",
+        duration: 60_000,
+      });
+      return;
+    }
+    if (watchLists.length <= 1) {
+      await Popup.table.addItems([], true);
+      return;
+    }
+    const div = document.getElementById("watchLists");
+    $(div).empty();
+    for (const watchList of watchLists) {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = watchList.id;
+      checkbox.checked = watchList.id === "WATCH_LIST";
+      if (watchList.name != null) checkbox.dataset.name = watchList.name;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(" " + ArticlesTable.getWatchListGroupName(watchList)));
+      div.appendChild(label);
+      div.appendChild(document.createElement("br"));
+    }
+    Popup.watchListDialog.dialog("open");
+  }
+
+  /*
+   * Import from an eBay search results (or seller store) page
+   * - shows a preview of the auctions, the user selects which should be added
+   * - items which are already in the table are not shown
+   */
+  static async openSearchImportDialog(url) {
+    let listings;
+    const platform = EbayPlatform.fromUrl(url);
+    Popup.searchImportPlatform = platform == null ? null : platform.id;
+    try {
+      listings = await EbayParser.getSearchResults(url);
+    } catch (e) {
+      Popup.addUserMessage({
+        message: Popup.getTranslation("popup_addItemsFailed", ".Failed to add items from the $1: $2", [
+          Popup.getTranslation("popup_searchResults", ".eBay search results"),
+          e.message,
+        ]),
+        level: "error",
+        duration: 60_000,
+      });
+      return;
+    }
+    // only auctions (buy-it-now items cannot be bid on), unknown layouts do not tell
+    listings = listings.filter((listing) => {
+      if (listing.auction === false) return false;
+      const row = Popup.table.getRow("#" + listing.articleId);
+      return row == null || row.length !== 1;
+    });
+    if (listings.length === 0) {
+      Popup.addUserMessage({
+        message: Popup.getTranslation("popup_searchResultsEmpty", ".No new auctions found in the search results."),
+        level: "info",
+        duration: 30_000,
+      });
+      return;
+    }
+    const div = document.getElementById("searchResults");
+    $(div).empty();
+    for (const listing of listings) {
+      const label = document.createElement("label");
+      label.classList.add("search-result");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = listing.articleId;
+      checkbox.checked = true;
+      label.appendChild(checkbox);
+      if (listing.image != null) {
+        const img = document.createElement("img");
+        img.src = listing.image;
+        img.alt = "";
+        label.appendChild(img);
+      }
+      const details = [listing.title != null ? listing.title : listing.articleId];
+      if (listing.price != null) details.push(listing.price);
+      if (listing.bidCount != null)
+        details.push(Popup.getTranslation("popup_searchResultsBids", ".$1 bids", [listing.bidCount.toString()]));
+      if (listing.timeLeft != null) details.push(listing.timeLeft);
+      label.appendChild(document.createTextNode(details.join(" - ")));
+      div.appendChild(label);
+    }
+    $("#searchImportGroupDiv").toggle(!Popup.disableGroups);
+    Popup.searchImportDialog.dialog("open");
+  }
+
   /*
    * Adds a message to be displayed to the user
    * info.message = i18n translated message
@@ -4428,7 +6154,7 @@ class Popup {
       if (Popup.currentWindowId === tab.windowId) {
         console.debug("Biet-O-Matic: browserAction.onClicked listener fired: tab=%O, clickData=%O", tab, clickData);
         // only toggle favicon for ebay tabs
-        if (tab.url.startsWith(browser.runtime.getURL("")) || tab.url.match(/^https?:\/\/.*\.ebay\.(de|com)\/itm/i)) {
+        if (tab.url.startsWith(browser.runtime.getURL("")) || EbayPlatform.isItemUrl(tab.url)) {
           let simulate = false;
           if (
             typeof clickData !== "undefined" &&
@@ -4446,15 +6172,28 @@ class Popup {
 
     $("#inpAddWatchItems").on("click", function () {
       $(this).parent().addClass("ui-state-disabled");
-      Popup.table
-        .addItems([], true)
+      Popup.openWatchListDialog()
         .then(function () {
           window.setTimeout(function () {
             $("#inpAddWatchItems").parent().removeClass("ui-state-disabled");
           }, 10_000);
         })
         .catch((e) => {
-          console.log("Biet-O-Matic: Popup.table.addItems() failed: " + e);
+          console.log("Biet-O-Matic: Popup.openWatchListDialog() failed: " + e);
+        });
+    });
+
+    $("#inpSyncBids").on("click", function () {
+      $(this).parent().addClass("ui-state-disabled");
+      Popup.table
+        .syncBiddingList()
+        .then(function () {
+          window.setTimeout(function () {
+            $("#inpSyncBids").parent().removeClass("ui-state-disabled");
+          }, 10_000);
+        })
+        .catch((e) => {
+          console.log("Biet-O-Matic: Popup.table.syncBiddingList() failed: " + e);
         });
     });
 
@@ -4555,6 +6294,8 @@ class Popup {
   restoreSettings() {
     AutoBid.init();
     OptionCompactView.init();
+    // parser problems from the last session are still relevant
+    ParserHealth.check();
 
     let result = JSON.parse(window.sessionStorage.getItem("settings"));
     if (result != null) {
@@ -4718,12 +6459,23 @@ class Popup {
 
 // static class-var declaration outside the class
 Popup.cachedGroups = {};
+Popup.cachedGroupWins = {};
 Popup.rateLimit = {};
 Popup.alreadyRunning = {};
 Popup.otherInfo = {};
 Popup.tabId = null;
 Popup.table = null;
 Popup.currentWindowId = null;
+// eBay platform of the URL shown in the search results import dialog
+Popup.searchImportPlatform = null;
+// clock offset (ms) above which the user is warned, smaller offsets are just compensated
+Popup.maxClockOffsetWithoutWarning = 3000;
+// last clock offset estimate, it is compensated if not older than 1 hour and smaller than 60s
+Popup.clockOffset = null;
+Popup.clockOffsetMaxAge = 3_600_000;
+Popup.clockOffsetMax = 60_000;
+// bid time determined from the measured bid timings, null if disabled or not enough measurements
+Popup.adaptiveBidTime = null;
 
 //region Favicon Handling
 class Favicon {